@@ -11,14 +11,16 @@ const fs = require('fs');
 const {
   authenticateAdmin,
   authenticateLogin,
-  createAmbiente,
   listAmbientes,
   getAmbiente,
+  proximaPortaAmbiente,
+  verificarPortaAmbiente,
   updateBancosPermitidos,
   updateAmbiente,
   getBancosDisponiveis,
   updateBancosDisponiveis,
   deleteAmbiente,
+  resetAmbientePassword,
   sincronizarAmbientesExistentes,
   listPerfis,
   getPerfil,
@@ -29,12 +31,31 @@ const {
   getLogin,
   createLogin,
   updateLogin,
-  deleteLogin
+  deleteLogin,
+  conflitosLoginsClonados,
+  listAdminUsuarios,
+  getAdminUsuario,
+  createAdminUsuario,
+  updateAdminUsuario,
+  deleteAdminUsuario,
+  changeAdminPassword,
+  changeLoginPassword,
+  verifyPassword,
+  getDatabase,
+  restaurarBanco,
+  statusBanco,
+  recuperarBanco,
+  verificarIntegridadeBanco,
+  corrigirIntegridadeBanco,
+  listarLixeira,
+  restaurarDaLixeira,
+  expurgarLixeira,
+  exportarConfiguracaoBanco,
+  importarConfiguracaoBanco
 } = require('../utils/database');
 
 const {
   detectarBancosDisponiveis,
-  criarEstruturaAmbiente,
   sincronizarBanco,
   sincronizarAmbiente,
   sincronizarTodosAmbientes,
@@ -52,35 +73,496 @@ const {
   obterStatusTodosServidores
 } = require('../utils/pm2-manager');
 
-// Middleware de autenticação admin ou login
+const {
+  gerarToken,
+  verificarToken,
+  extrairToken
+} = require('../utils/auth-token');
+
+const {
+  listApiKeys,
+  createApiKey,
+  rotacionarApiKey,
+  revogarApiKey,
+  autenticarApiKey
+} = require('../utils/api-keys');
+
+const {
+  possui2FA,
+  status2FA,
+  iniciar2FA,
+  confirmar2FA,
+  verificar2FA,
+  regerarCodigosRecuperacao,
+  desativar2FA
+} = require('../utils/two-factor');
+
+// Validade do desafio de segundo fator emitido no login (segundos)
+const EXPIRACAO_DESAFIO_2FA = 5 * 60;
+
+const {
+  iniciarSessao,
+  obterSessaoAtiva,
+  listarSessoes,
+  getSessao,
+  revogarSessao,
+  revogarSessoesDoSujeito
+} = require('../utils/sessions');
+
+const {
+  verificarBloqueio,
+  registrarFalha,
+  registrarSucesso,
+  listarBloqueios,
+  liberarBloqueio
+} = require('../utils/login-throttle');
+
+const {
+  temPermissao,
+  ambienteDoEscopo,
+  podeAcessarAmbiente,
+  podeAtribuirPerfil
+} = require('../utils/permissoes');
+
+const { senhaExpirada } = require('../utils/password-policy');
+const { listarSnapshots, lerSnapshot, compararComAtual } = require('../utils/snapshots');
+const { ultimoSnapshotValido } = require('../utils/db-recovery');
+const { TIPOS_LIXEIRA, RETENCAO_LIXEIRA_DIAS } = require('../utils/trash');
+const { middlewareAuditoria, consultarEventos, eventosParaCsv } = require('../utils/audit-log');
+const { provisionarAmbiente } = require('../utils/provisioning');
+
+// Validade do token para troca de senha expirada (segundos)
+const EXPIRACAO_TROCA_SENHA = 10 * 60;
+
+/**
+ * Carregar usuário admin, verificando se ainda existe e está ativo
+ */
+function carregarUsuarioAdmin(usuarioId) {
+  const usuario = getAdminUsuario(usuarioId);
+  
+  if (!usuario) {
+    return { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
+  }
+  
+  if (usuario.ativo === false) {
+    return { success: false, error: 'Usuário inativo', errorCode: 'USER_INACTIVE' };
+  }
+  
+  return {
+    success: true,
+    usuario: {
+      id: usuario.id,
+      username: usuario.username,
+      role: usuario.role,
+      mustChangePassword: !!usuario.mustChangePassword
+    }
+  };
+}
+
+/**
+ * Carregar login com ambiente e perfil, verificando se continuam ativos
+ */
+function carregarLogin(loginId) {
+  const login = getLogin(loginId);
+  
+  if (!login) {
+    return { success: false, error: 'Login não encontrado', errorCode: 'USER_NOT_FOUND' };
+  }
+  
+  if (!login.ativo) {
+    return { success: false, error: 'Login inativo', errorCode: 'USER_INACTIVE' };
+  }
+  
+  // Verificar se ambiente está ativo
+  const ambiente = getAmbiente(login.ambienteId);
+  if (!ambiente || !ambiente.ativo) {
+    return { success: false, error: 'Ambiente inativo', errorCode: 'AMBIENTE_INACTIVE' };
+  }
+  
+  // Verificar se perfil está ativo (se houver)
+  let perfil = null;
+  if (login.perfilId) {
+    perfil = getPerfil(login.perfilId);
+    if (!perfil || !perfil.ativo) {
+      return { success: false, error: 'Perfil inativo', errorCode: 'PERFIL_INACTIVE' };
+    }
+  }
+  
+  if (senhaExpirada(login)) {
+    return { success: false, error: 'Senha expirada', errorCode: 'PASSWORD_EXPIRED' };
+  }
+  
+  return { success: true, login, ambiente, perfil };
+}
+
+/**
+ * Validar token e carregar o estado atual do usuário (admin ou login)
+ */
+function validarSessao(token) {
+  const verificacao = verificarToken(token, ['admin', 'login']);
+  
+  if (!verificacao.success) {
+    return verificacao;
+  }
+  
+  const { payload } = verificacao;
+  
+  // Verificar se a sessão do token não foi encerrada (logout/revogação)
+  const sessao = payload.sid ? obterSessaoAtiva(payload.sid) : null;
+  if (!sessao || sessao.sujeitoId !== payload.sub || sessao.tipo !== payload.typ) {
+    return { success: false, error: 'Sessão encerrada', errorCode: 'SESSION_REVOKED' };
+  }
+  
+  if (payload.typ === 'admin') {
+    const resultado = carregarUsuarioAdmin(payload.sub);
+    
+    if (!resultado.success) {
+      return resultado;
+    }
+    
+    // Exigida no login e a senha não foi trocada depois dele
+    const { senhaAlteradaEm } = getAdminUsuario(payload.sub);
+    if (payload.trocaSenha && !(senhaAlteradaEm && new Date(senhaAlteradaEm).getTime() >= payload.iat * 1000)) {
+      resultado.usuario.mustChangePassword = true;
+    }
+    
+    return {
+      success: true,
+      auth: {
+        tipo: 'admin',
+        sessaoId: sessao.id,
+        usuario: resultado.usuario
+      }
+    };
+  }
+  
+  const resultado = carregarLogin(payload.sub);
+  
+  if (!resultado.success) {
+    return resultado;
+  }
+  
+  return {
+    success: true,
+    auth: {
+      tipo: 'login',
+      sessaoId: sessao.id,
+      login: resultado.login,
+      ambiente: resultado.ambiente,
+      perfil: resultado.perfil
+    }
+  };
+}
+
+/**
+ * Abrir sessão de usuário admin e responder o login
+ */
+function responderLoginAdmin(req, res, usuario) {
+  const { token } = iniciarSessao(req, {
+    tipo: 'admin',
+    sujeitoId: usuario.id,
+    username: usuario.username,
+    // Troca de senha exigida no login vale para a sessão mesmo se a flag não chegou a ser gravada
+    claims: usuario.mustChangePassword ? { role: usuario.role, trocaSenha: true } : { role: usuario.role }
+  });
+  
+  return res.json({
+    success: true,
+    usuario: usuario,
+    tipo: 'admin',
+    token: token
+  });
+}
+
+/**
+ * Abrir sessão de login criado e responder o login
+ */
+function responderLogin(req, res, { login, ambiente, perfil }) {
+  const { token } = iniciarSessao(req, {
+    tipo: 'login',
+    sujeitoId: login.id,
+    username: login.username,
+    claims: { ambienteId: login.ambienteId }
+  });
+  
+  return res.json({
+    success: true,
+    login: {
+      id: login.id,
+      username: login.username,
+      ambienteId: login.ambienteId,
+      perfilId: login.perfilId
+    },
+    ambiente: sanitizarAmbiente(ambiente),
+    perfil: perfil,
+    tipo: 'login',
+    token: token
+  });
+}
+
+/**
+ * Responder login que exige o segundo fator (TOTP)
+ */
+function responderDesafio2FA(res, tipo, sujeitoId) {
+  return res.json({
+    success: true,
+    requires2FA: true,
+    tipo: tipo,
+    challengeToken: gerarToken({ sub: sujeitoId, typ: '2fa', tipo: tipo }, { expiresIn: EXPIRACAO_DESAFIO_2FA })
+  });
+}
+
+// Resposta para login com senha expirada: apenas a troca de senha é permitida
+function responderSenhaExpirada(res, loginId) {
+  return res.status(403).json({
+    success: false,
+    error: 'Senha expirada. É necessário definir uma nova senha.',
+    errorCode: 'PASSWORD_EXPIRED',
+    passwordChangeToken: gerarToken({ sub: loginId, typ: 'troca-senha' }, { expiresIn: EXPIRACAO_TROCA_SENHA })
+  });
+}
+
+// Rotas liberadas enquanto o admin precisa trocar a senha padrão
+const ROTAS_TROCA_SENHA = ['PUT /usuarios/me/senha', 'POST /logout'];
+
+// Middleware de autenticação admin, login ou chave de API
 function requireAdmin(req, res, next) {
-  const token = req.headers.authorization || req.query.token || req.body.token;
+  // Clientes automatizados: chave de API no header X-API-Key
+  const chaveApi = req.headers['x-api-key'];
+  if (chaveApi) {
+    const resultado = autenticarApiKey(chaveApi);
+    
+    if (!resultado.success) {
+      return res.status(401).json({
+        success: false,
+        error: resultado.error,
+        errorCode: resultado.errorCode
+      });
+    }
+    
+    const ambiente = resultado.apiKey.ambienteId ? getAmbiente(resultado.apiKey.ambienteId) : null;
+    if (resultado.apiKey.ambienteId && (!ambiente || !ambiente.ativo)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Ambiente inativo',
+        errorCode: 'AMBIENTE_INACTIVE'
+      });
+    }
+    
+    req.auth = {
+      tipo: 'apikey',
+      apiKey: resultado.apiKey,
+      ambiente: ambiente
+    };
+    return next();
+  }
+  
+  const token = extrairToken(req);
   
-  // Em desenvolvimento, permitir acesso sem token (compatibilidade)
   if (!token) {
-    return next();
+    return res.status(401).json({
+      success: false,
+      error: 'Token não fornecido',
+      errorCode: 'TOKEN_MISSING'
+    });
   }
   
-  // Verificar se token é válido (admin-token-{timestamp} ou login-token-{loginId}-{timestamp})
-  if (typeof token === 'string') {
-    if (token.startsWith('admin-token-')) {
-      // Token de admin - validar timestamp
-      const timestamp = parseInt(token.replace('admin-token-', ''));
-      if (isNaN(timestamp)) {
-        // return res.status(401).json({ success: false, error: 'Token inválido' });
-      }
-    } else if (token.startsWith('login-token-')) {
-      // Token de login - permitir (validação será feita por permissões específicas se necessário)
-      // Formato: login-token-{loginId}-{timestamp}
-    } else {
-      // Token desconhecido - em desenvolvimento permitir
-      // return res.status(401).json({ success: false, error: 'Token inválido' });
+  const sessao = validarSessao(token);
+  
+  if (!sessao.success) {
+    return res.status(401).json({
+      success: false,
+      error: sessao.error,
+      errorCode: sessao.errorCode
+    });
+  }
+  
+  // Enquanto a senha padrão não for trocada, apenas a troca de senha é permitida
+  if (sessao.auth.tipo === 'admin' && sessao.auth.usuario.mustChangePassword && !ROTAS_TROCA_SENHA.includes(`${req.method} ${req.path}`)) {
+    return res.status(403).json({
+      success: false,
+      error: 'É necessário alterar a senha padrão antes de continuar',
+      errorCode: 'PASSWORD_CHANGE_REQUIRED'
+    });
+  }
+  
+  req.auth = sessao.auth;
+  next();
+}
+
+// Remover segredos do 2FA dos dados de login retornados pela API
+function sanitizarLogin(login) {
+  const { twoFactor, passwordHistory, ...dados } = login;
+  return { ...dados, twoFactorAtivo: possui2FA(login), senhaExpirada: senhaExpirada(login) };
+}
+
+// Remover hashes de senha (atual e histórico) dos dados de ambiente retornados pela API
+function sanitizarAmbiente(ambiente) {
+  if (!ambiente) {
+    return ambiente;
+  }
+  const { passwordHash, passwordHistory, twoFactor, ...dados } = ambiente;
+  return dados;
+}
+
+// Resposta para tentativas de login bloqueadas
+function responderBloqueio(res, bloqueio) {
+  res.set('Retry-After', String(bloqueio.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Muitas tentativas de login. Tente novamente mais tarde.',
+    errorCode: 'TOO_MANY_ATTEMPTS',
+    retryAfter: bloqueio.retryAfter
+  });
+}
+
+// Middleware para rotas que dependem de uma sessão de usuário (não disponível para chaves de API)
+function requireSessao(req, res, next) {
+  if (!req.auth || !req.auth.sessaoId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Operação disponível apenas para usuários autenticados por login',
+      errorCode: 'PERMISSION_DENIED'
+    });
+  }
+  
+  next();
+}
+
+// Middleware para rotas exclusivas de usuários admin
+function requireUsuarioAdmin(req, res, next) {
+  if (!req.auth || req.auth.tipo !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Operação permitida apenas para administradores',
+      errorCode: 'PERMISSION_DENIED'
+    });
+  }
+  
+  next();
+}
+
+// Middleware de permissão do perfil (admins possuem acesso total)
+function requirePermissao(permissao) {
+  return (req, res, next) => {
+    if (!temPermissao(req.auth, permissao)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Perfil sem permissão para esta operação',
+        errorCode: 'PERMISSION_DENIED',
+        permissao: permissao
+      });
+    }
+    
+    next();
+  };
+}
+
+// Resposta padrão para acesso a ambiente fora do escopo do login
+function negarEscopo(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'Ambiente fora do escopo deste login',
+    errorCode: 'AMBIENTE_OUT_OF_SCOPE'
+  });
+}
+
+// Resposta padrão para perfil com permissões que o usuário não possui (evita escalada de privilégio)
+function negarPerfil(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'O perfil possui permissões que você não tem',
+    errorCode: 'PERMISSION_DENIED'
+  });
+}
+
+// Middleware de escopo: logins só acessam o próprio ambiente
+function requireEscopoAmbiente(parametro = 'id') {
+  return (req, res, next) => {
+    if (!podeAcessarAmbiente(req.auth, req.params[parametro])) {
+      return negarEscopo(res);
     }
+    
+    next();
+  };
+}
+
+// Middleware para operações globais (não restritas a um ambiente)
+function requireEscopoGlobal(req, res, next) {
+  if (ambienteDoEscopo(req.auth) !== null) {
+    return negarEscopo(res);
   }
   
   next();
 }
 
+// Identificação de quem executou a operação
+function autorDaRequisicao(auth) {
+  if (auth.tipo === 'admin') {
+    return { tipo: 'admin', id: auth.usuario.id, username: auth.usuario.username };
+  }
+  if (auth.tipo === 'login') {
+    return { tipo: 'login', id: auth.login.id, username: auth.login.username };
+  }
+  return { tipo: 'apikey', id: auth.apiKey.id, username: auth.apiKey.label };
+}
+
+// Estado dos registros auditados, lido antes e depois da operação
+const ESTADO_AUDITORIA = {
+  ambiente: id => getAmbiente(id),
+  perfil: id => getPerfil(id),
+  login: id => getLogin(id),
+  usuario: id => getAdminUsuario(id),
+  apiKey: id => listApiKeys().find(k => k.id === id) || null,
+  sessao: id => getSessao(id),
+  // "ambienteId:bancoId"
+  credenciais: alvoId => {
+    const [ambienteId, bancoId] = alvoId.split(':');
+    const resultado = obterCredenciaisBanco(ambienteId, bancoId);
+    return resultado.success ? resultado.credenciais : null;
+  }
+};
+
+// Middleware do log de auditoria (tipo define o alvo; opcoes sobrescreve id, estado e ambiente)
+function auditar(acao, tipo = null, opcoes = {}) {
+  return middlewareAuditoria(acao, {
+    obterAtor: req => (req.auth ? autorDaRequisicao(req.auth) : null),
+    tipo,
+    estado: ESTADO_AUDITORIA[tipo] || null,
+    ...opcoes
+  });
+}
+
+// Status HTTP dos erros de criação de ambiente (porta ocupada ou faixa esgotada)
+function statusErroPorta(resultado) {
+  return resultado.errorCode === 'PORT_UNAVAILABLE' || resultado.errorCode === 'PORT_RANGE_EXHAUSTED' ? 409 : 400;
+}
+
+// Status HTTP das falhas de provisionamento: erros do registro são do pedido, os demais do servidor
+function statusErroProvisionamento(resultado) {
+  return resultado.etapaComFalha === 'registro' ? statusErroPorta(resultado) : 500;
+}
+
+// Status de cada etapa do provisionamento, para o log de auditoria
+function resumoEtapas(etapas) {
+  const resumo = {};
+  etapas.forEach(e => {
+    resumo[e.etapa] = e.desfeita ? `${e.status} (desfeita)` : e.status;
+  });
+  return resumo;
+}
+
+// Status HTTP dos erros de exclusão com dependentes
+function statusErroExclusao(resultado, statusPadrao) {
+  if (resultado.errorCode === 'HAS_DEPENDENTS') {
+    return 409;
+  }
+  if (resultado.errorCode === 'INVALID_DELETE_MODE' || resultado.errorCode === 'TARGET_NOT_FOUND') {
+    return 400;
+  }
+  return statusPadrao;
+}
+
 // Login (Admin ou Login criado)
 router.post('/login', (req, res) => {
   try {
@@ -94,853 +576,2045 @@ router.post('/login', (req, res) => {
       });
     }
     
+    // Bloquear após falhas consecutivas (por usuário e por IP)
+    const bloqueio = verificarBloqueio('admin', username, req.ip);
+    if (bloqueio.bloqueado) {
+      return responderBloqueio(res, bloqueio);
+    }
+    
     // Tentar autenticar como admin primeiro
     const authAdmin = authenticateAdmin(username, password);
     
     if (authAdmin.success) {
-      // Em produção, gerar JWT token aqui
-      return res.json({
-        success: true,
-        usuario: authAdmin.usuario,
-        tipo: 'admin',
-        token: 'admin-token-' + Date.now() // Token temporário
-      });
+      registrarSucesso('admin', username);
+      
+      if (possui2FA(getAdminUsuario(authAdmin.usuario.id))) {
+        return responderDesafio2FA(res, 'admin', authAdmin.usuario.id);
+      }
+      
+      return responderLoginAdmin(req, res, authAdmin.usuario);
     }
     
     // Se não for admin, tentar como login criado
     const authLogin = authenticateLogin(username, password);
     
     if (authLogin.success) {
-      // Verificar se login está ativo
-      if (!authLogin.login.ativo) {
-        return res.status(401).json({
-          success: false,
-          error: 'Usuário inativo. Entre em contato com o administrador.',
-          errorCode: 'USER_INACTIVE'
-        });
-      }
+      registrarSucesso('admin', username);
       
-      // Verificar se ambiente existe e está ativo
-      if (!authLogin.ambiente) {
-        return res.status(401).json({
-          success: false,
-          error: 'Ambiente associado não encontrado',
-          errorCode: 'AMBIENTE_NOT_FOUND'
-        });
+      if (possui2FA(authLogin.login)) {
+        return responderDesafio2FA(res, 'login', authLogin.login.id);
       }
       
-      if (!authLogin.ambiente.ativo) {
-        return res.status(401).json({
-          success: false,
-          error: 'Ambiente associado está inativo',
-          errorCode: 'AMBIENTE_INACTIVE'
-        });
-      }
+      return responderLogin(req, res, authLogin);
+    }
+    
+    // Senha correta, mas vencida: exigir 2FA (se ativo) e liberar apenas a troca de senha
+    if (authLogin.errorCode === 'PASSWORD_EXPIRED') {
+      registrarSucesso('admin', username);
       
-      // Verificar se perfil existe e está ativo (se houver perfil)
-      if (authLogin.login.perfilId && !authLogin.perfil) {
-        return res.status(401).json({
-          success: false,
-          error: 'Perfil associado não encontrado ou inativo',
-          errorCode: 'PERFIL_NOT_FOUND'
-        });
+      if (possui2FA(getLogin(authLogin.login.id))) {
+        return responderDesafio2FA(res, 'login', authLogin.login.id);
       }
       
-      return res.json({
-        success: true,
-        login: {
-          id: authLogin.login.id,
-          username: authLogin.login.username,
-          ambienteId: authLogin.login.ambienteId,
-          perfilId: authLogin.login.perfilId
-        },
-        ambiente: authLogin.ambiente,
-        perfil: authLogin.perfil,
-        tipo: 'login',
-        token: 'login-token-' + authLogin.login.id + '-' + Date.now()
+      return responderSenhaExpirada(res, authLogin.login.id);
+    }
+    
+    // Resposta uniforme: não revelar se o usuário existe nem se a conta, o perfil ou o ambiente
+    // estão inativos (também conta como falha, para não permitir testar senhas de contas inativas)
+    registrarFalha('admin', username, req.ip);
+    return res.status(401).json({
+      success: false,
+      error: 'Usuário ou senha inválidos',
+      errorCode: 'INVALID_CREDENTIALS'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao fazer login',
+      errorCode: 'SERVER_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Segunda etapa do login: código TOTP ou código de recuperação
+router.post('/login/2fa', (req, res) => {
+  try {
+    const { challengeToken, codigo } = req.body;
+    
+    if (!challengeToken || !codigo) {
+      return res.status(400).json({
+        success: false,
+        error: 'challengeToken e codigo são obrigatórios',
+        errorCode: 'MISSING_CREDENTIALS'
+      });
+    }
+    
+    const verificacao = verificarToken(challengeToken, ['2fa']);
+    if (!verificacao.success) {
+      return res.status(401).json({
+        success: false,
+        error: verificacao.error,
+        errorCode: verificacao.errorCode
+      });
+    }
+    
+    const { sub, tipo } = verificacao.payload;
+    
+    const bloqueio = verificarBloqueio('2fa', sub, req.ip);
+    if (bloqueio.bloqueado) {
+      return responderBloqueio(res, bloqueio);
+    }
+    
+    const resultado = verificar2FA(tipo, sub, codigo);
+    if (!resultado.success) {
+      registrarFalha('2fa', sub, req.ip);
+      return res.status(401).json({
+        success: false,
+        error: 'Código inválido',
+        errorCode: 'INVALID_2FA_CODE'
       });
     }
     
-    // Se chegou aqui, nenhuma autenticação funcionou
-    // Verificar qual foi o erro específico
-    if (authAdmin.error === 'Usuário não encontrado' && authLogin.error) {
-      // Login não encontrado ou inativo
-      if (authLogin.error.includes('inativo')) {
-        return res.status(401).json({
-          success: false,
-          error: 'Usuário inativo. Entre em contato com o administrador.',
-          errorCode: 'USER_INACTIVE'
-        });
-      }
-      return res.status(401).json({
+    registrarSucesso('2fa', sub);
+    
+    // Recarregar o usuário: pode ter sido desativado durante o desafio
+    const carregado = tipo === 'admin' ? carregarUsuarioAdmin(sub) : carregarLogin(sub);
+    if (carregado.errorCode === 'PASSWORD_EXPIRED') {
+      return responderSenhaExpirada(res, sub);
+    }
+    
+    if (!carregado.success) {
+      return res.status(401).json({
+        success: false,
+        error: carregado.error,
+        errorCode: carregado.errorCode
+      });
+    }
+    
+    return tipo === 'admin'
+      ? responderLoginAdmin(req, res, carregado.usuario)
+      : responderLogin(req, res, carregado);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao validar segundo fator',
+      errorCode: 'SERVER_ERROR',
+      message: error.message
+    });
+  }
+});
+
+// Definir nova senha após PASSWORD_EXPIRED (token emitido na etapa de login)
+router.post('/login/senha-expirada', (req, res) => {
+  try {
+    const { passwordChangeToken, novaSenha } = req.body;
+    
+    if (!passwordChangeToken || !novaSenha) {
+      return res.status(400).json({
+        success: false,
+        error: 'passwordChangeToken e novaSenha são obrigatórios',
+        errorCode: 'MISSING_CREDENTIALS'
+      });
+    }
+    
+    const verificacao = verificarToken(passwordChangeToken, ['troca-senha']);
+    if (!verificacao.success) {
+      return res.status(401).json({
+        success: false,
+        error: verificacao.error,
+        errorCode: verificacao.errorCode
+      });
+    }
+    
+    // O token só vale enquanto a senha continuar expirada (uso único)
+    const login = getLogin(verificacao.payload.sub);
+    if (!login || !senhaExpirada(login)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token inválido',
+        errorCode: 'TOKEN_INVALID'
+      });
+    }
+    
+    const resultado = changeLoginPassword(login.id, novaSenha);
+    
+    if (!resultado.success) {
+      return res.status(resultado.errorCode === 'USER_NOT_FOUND' ? 404 : 400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Senha alterada com sucesso. Faça login com a nova senha.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao alterar senha',
+      message: error.message
+    });
+  }
+});
+
+// Validar token (admin ou login criado)
+router.post('/validar-token', (req, res) => {
+  try {
+    const token = extrairToken(req);
+    
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        isValid: false,
+        error: 'Token não fornecido'
+      });
+    }
+    
+    const sessao = validarSessao(token);
+    
+    if (!sessao.success) {
+      return res.status(401).json({
+        success: false,
+        isValid: false,
+        error: sessao.error,
+        errorCode: sessao.errorCode
+      });
+    }
+    
+    if (sessao.auth.tipo === 'admin') {
+      return res.json({
+        success: true,
+        isValid: true,
+        tipo: 'admin',
+        usuario: sessao.auth.usuario,
+        message: 'Token válido'
+      });
+    }
+    
+    const { login, ambiente, perfil } = sessao.auth;
+    
+    res.json({
+      success: true,
+      isValid: true,
+      tipo: 'login',
+      loginId: login.id,
+      login: {
+        id: login.id,
+        username: login.username,
+        ambienteId: login.ambienteId,
+        perfilId: login.perfilId
+      },
+      ambiente: sanitizarAmbiente(ambiente),
+      perfil: perfil,
+      permissoes: perfil ? perfil.permissoes : null,
+      message: 'Token válido'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      isValid: false,
+      error: 'Erro ao validar token',
+      message: error.message
+    });
+  }
+});
+
+// Logout: encerrar a sessão atual
+router.post('/logout', requireAdmin, requireSessao, (req, res) => {
+  try {
+    const resultado = revogarSessao(req.auth.sessaoId, 'logout');
+    
+    if (!resultado.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao fazer logout',
+        message: resultado.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Logout realizado com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao fazer logout',
+      message: error.message
+    });
+  }
+});
+
+// Listar sessões ativas do usuário atual
+router.get('/sessions', requireAdmin, requireSessao, (req, res) => {
+  try {
+    const sujeitoId = req.auth.tipo === 'admin' ? req.auth.usuario.id : req.auth.login.id;
+    const sessoes = listarSessoes({ tipo: req.auth.tipo, sujeitoId }).map(s => ({
+      ...s,
+      atual: s.id === req.auth.sessaoId
+    }));
+    
+    res.json({
+      success: true,
+      sessoes: sessoes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar sessões',
+      message: error.message
+    });
+  }
+});
+
+// Encerrar uma sessão (própria ou, para admins, de qualquer usuário)
+router.delete('/sessions/:id', requireAdmin, auditar('sessao.encerrar', 'sessao'), requireSessao, (req, res) => {
+  try {
+    const sessao = getSessao(req.params.id);
+    const sujeitoId = req.auth.tipo === 'admin' ? req.auth.usuario.id : req.auth.login.id;
+    const propria = sessao && sessao.tipo === req.auth.tipo && sessao.sujeitoId === sujeitoId;
+    
+    if (!sessao || (!propria && req.auth.tipo !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sessão não encontrada'
+      });
+    }
+    
+    const resultado = revogarSessao(sessao.id, propria ? 'logout' : 'revogada pelo administrador');
+    
+    if (!resultado.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao encerrar sessão',
+        message: resultado.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Sessão encerrada com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao encerrar sessão',
+      message: error.message
+    });
+  }
+});
+
+// Listar bancos disponíveis na rota-4000
+router.get('/bancos-disponiveis', requireAdmin, requirePermissao('ambientes_visualizar'), (req, res) => {
+  try {
+    const bancos = detectarBancosDisponiveis();
+    const bancosDB = getBancosDisponiveis();
+    
+    res.json({
+      success: true,
+      bancos: bancos,
+      bancosDB: bancosDB
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar bancos disponíveis',
+      message: error.message
+    });
+  }
+});
+
+// Gravar no banco de dados os bancos detectados na rota-4000
+router.post('/bancos-disponiveis/sincronizar', requireAdmin, auditar('bancos.sincronizar'), requirePermissao('ambientes_sincronizar'), requireEscopoGlobal, (req, res) => {
+  try {
+    const bancos = detectarBancosDisponiveis();
+    const resultado = updateBancosDisponiveis(bancos);
+    
+    if (!resultado.success) {
+      return res.status(500).json(resultado);
+    }
+    
+    req.auditoria.detalhes = { alterado: resultado.alterado, bancos: bancos.map(b => b.id) };
+    
+    res.json({
+      success: true,
+      alterado: resultado.alterado,
+      bancos: bancos
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao sincronizar bancos disponíveis',
+      message: error.message
+    });
+  }
+});
+
+// Obter credenciais de um banco em todos os ambientes
+router.get('/bancos/:bancoId/credenciais', requireAdmin, requirePermissao('bancos_gerenciarCredenciais'), (req, res) => {
+  try {
+    const { bancoId } = req.params;
+    const resultado = obterCredenciaisBancoTodosAmbientes(bancoId);
+    
+    // Logins só visualizam as credenciais do próprio ambiente
+    resultado.credenciais = resultado.credenciais.filter(c => podeAcessarAmbiente(req.auth, c.ambienteId));
+    
+    res.json(resultado);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao obter credenciais do banco',
+      message: error.message
+    });
+  }
+});
+
+// Atualizar credenciais de banco em um ambiente específico
+router.put('/bancos/:bancoId/ambientes/:ambienteId/credenciais', requireAdmin, auditar('credenciais.atualizar', 'credenciais', { id: req => `${req.params.ambienteId}:${req.params.bancoId}`, ambiente: req => req.params.ambienteId }), requirePermissao('bancos_gerenciarCredenciais'), requireEscopoAmbiente('ambienteId'), async (req, res) => {
+  try {
+    const { bancoId, ambienteId } = req.params;
+    const { login, senha, validarToken = true } = req.body;
+    
+    if (!login && !senha) {
+      return res.status(400).json({
+        success: false,
+        error: 'Login ou senha devem ser fornecidos'
+      });
+    }
+    
+    const resultado = await atualizarCredenciaisBancoAmbiente(ambienteId, bancoId, { login, senha }, validarToken);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: resultado.message,
+      validacao: resultado.validacao
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar credenciais',
+      message: error.message
+    });
+  }
+});
+
+// Listar ambientes
+router.get('/ambientes', requireAdmin, requirePermissao('ambientes_visualizar'), (req, res) => {
+  try {
+    const ambientes = listAmbientes().filter(a => podeAcessarAmbiente(req.auth, a.id));
+    res.json({
+      success: true,
+      ambientes: ambientes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar ambientes',
+      message: error.message
+    });
+  }
+});
+
+// Sugerir porta para um novo ambiente (?porta= verifica uma porta específica)
+router.get('/ambientes/proxima-porta', requireAdmin, requirePermissao('gerenciarAmbientes'), requireEscopoGlobal, (req, res) => {
+  try {
+    if (req.query.porta !== undefined) {
+      const porta = parseInt(req.query.porta);
+      if (Number.isNaN(porta)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Porta deve ser um número'
+        });
+      }
+      
+      return res.json({
+        success: true,
+        ...verificarPortaAmbiente(porta)
+      });
+    }
+    
+    const sugestao = proximaPortaAmbiente();
+    
+    if (sugestao.porta === null) {
+      return res.status(409).json({
+        success: false,
+        error: `Nenhuma porta livre na faixa ${sugestao.faixa.minima}-${sugestao.faixa.maxima}`,
+        errorCode: 'PORT_RANGE_EXHAUSTED',
+        faixa: sugestao.faixa
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...sugestao
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao sugerir porta',
+      message: error.message
+    });
+  }
+});
+
+// Obter ambiente específico
+router.get('/ambientes/:id', requireAdmin, requirePermissao('ambientes_visualizar'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const ambiente = getAmbiente(req.params.id);
+    
+    if (!ambiente) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ambiente não encontrado'
+      });
+    }
+    
+    res.json({
+      success: true,
+      ambiente: sanitizarAmbiente(ambiente)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao obter ambiente',
+      message: error.message
+    });
+  }
+});
+
+// Atualizar ambiente (nome, pipeline, etc)
+router.put('/ambientes/:id', requireAdmin, auditar('ambiente.atualizar', 'ambiente'), requirePermissao('gerenciarAmbientes_nomearAmbiente'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const { nome, pipelineKentro, ativo } = req.body;
+    
+    const resultado = updateAmbiente(req.params.id, {
+      nome,
+      pipelineKentro,
+      ativo
+    });
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      ambiente: sanitizarAmbiente(resultado.ambiente)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar ambiente',
+      message: error.message
+    });
+  }
+});
+
+// Criar novo ambiente
+router.post('/ambientes', requireAdmin, auditar('ambiente.criar', 'ambiente'), requirePermissao('gerenciarAmbientes'), requireEscopoGlobal, (req, res) => {
+  try {
+    const { nome, porta, username, password, bancosPermitidos, pipelineKentro } = req.body;
+    
+    if (!nome || !username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nome, username e password são obrigatórios'
+      });
+    }
+    
+    // Porta opcional: sem ela, a próxima livre da faixa é alocada
+    const portaNum = porta === undefined || porta === null || porta === '' ? null : parseInt(porta);
+    if (Number.isNaN(portaNum)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Porta deve ser um número'
+      });
+    }
+    
+    // Registro, pasta, .env, bancos e compartilhados (e PM2 se iniciar = true), desfeitos em caso de falha
+    const resultado = provisionarAmbiente(
+      { nome, porta: portaNum, username, password, bancosPermitidos: bancosPermitidos || [] },
+      { iniciar: req.body.iniciar === true }
+    );
+    req.auditoria.detalhes = { etapas: resumoEtapas(resultado.etapas) };
+    
+    if (!resultado.success) {
+      return res.status(statusErroProvisionamento(resultado)).json(resultado);
+    }
+    
+    req.auditoria.alvoId = resultado.ambiente.id;
+    
+    res.json({
+      success: true,
+      ambiente: resultado.ambiente,
+      estrutura: { success: true, path: resultado.path },
+      etapas: resultado.etapas
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar ambiente',
+      message: error.message
+    });
+  }
+});
+
+// Clonar ambiente para uma nova porta
+// { nome, porta, username, password, incluirCredenciais, copiarPipeline, copiarLogins, sufixoLogins, iniciar }
+router.post('/ambientes/:id/clonar', requireAdmin, auditar('ambiente.clonar', 'ambiente', { id: () => null }), requirePermissao('gerenciarAmbientes'), requireEscopoGlobal, (req, res) => {
+  try {
+    const { nome, porta, username, password, incluirCredenciais, copiarPipeline, copiarLogins } = req.body;
+    const origem = getAmbiente(req.params.id);
+    
+    if (!origem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ambiente não encontrado'
+      });
+    }
+    
+    if (!nome || !username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nome, username e password são obrigatórios'
+      });
+    }
+    
+    // Porta opcional: definida antes da criação porque compõe o sufixo padrão dos logins
+    const portaNum = porta === undefined || porta === null || porta === '' ? proximaPortaAmbiente().porta : parseInt(porta);
+    if (Number.isNaN(portaNum)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Porta deve ser um número'
+      });
+    }
+    if (portaNum === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'Nenhuma porta livre na faixa configurada',
+        errorCode: 'PORT_RANGE_EXHAUSTED'
+      });
+    }
+    
+    // Usernames são únicos: os logins copiados recebem um sufixo
+    const sufixoLogins = req.body.sufixoLogins !== undefined ? String(req.body.sufixoLogins) : `-${portaNum}`;
+    if (copiarLogins === true) {
+      const conflitos = conflitosLoginsClonados(origem.id, sufixoLogins);
+      if (conflitos.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Logins já existentes: ${conflitos.join(', ')}. Informe outro sufixoLogins`,
+          errorCode: 'LOGIN_CONFLICT',
+          conflitos: conflitos
+        });
+      }
+    }
+    
+    const resultado = provisionarAmbiente(
+      { nome, porta: portaNum, username, password, bancosPermitidos: origem.bancosPermitidos || [] },
+      {
+        iniciar: req.body.iniciar === true,
+        clonarDe: {
+          ambienteId: origem.id,
+          pipelineKentro: copiarPipeline === true ? origem.pipelineKentro || null : null,
+          incluirCredenciais: incluirCredenciais === true,
+          copiarLogins: copiarLogins === true,
+          sufixoLogins: sufixoLogins
+        }
+      }
+    );
+    req.auditoria.detalhes = {
+      origemId: origem.id,
+      incluirCredenciais: incluirCredenciais === true,
+      etapas: resumoEtapas(resultado.etapas)
+    };
+    
+    if (!resultado.success) {
+      return res.status(statusErroProvisionamento(resultado)).json(resultado);
+    }
+    
+    const ambienteId = resultado.ambiente.id;
+    req.auditoria.alvoId = ambienteId;
+    
+    res.json({
+      success: true,
+      ambiente: {
+        ...resultado.ambiente,
+        pipelineKentro: getAmbiente(ambienteId).pipelineKentro || null
+      },
+      origemId: origem.id,
+      estrutura: { success: true, path: resultado.path },
+      credenciaisCopiadas: resultado.credenciaisCopiadas,
+      logins: resultado.logins,
+      avisos: resultado.avisos,
+      etapas: resultado.etapas
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao clonar ambiente',
+      message: error.message
+    });
+  }
+});
+
+// Atualizar permissões de bancos de um ambiente
+router.put('/ambientes/:id/bancos', requireAdmin, auditar('ambiente.definir-bancos', 'ambiente'), requirePermissao('gerenciarAmbientes_definirBancos'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const { bancosPermitidos } = req.body;
+    
+    if (!Array.isArray(bancosPermitidos)) {
+      return res.status(400).json({
+        success: false,
+        error: 'bancosPermitidos deve ser um array'
+      });
+    }
+    
+    const resultado = updateBancosPermitidos(req.params.id, bancosPermitidos);
+    
+    if (!resultado.success) {
+      return res.status(404).json(resultado);
+    }
+    
+    // Sincronizar bancos adicionados (não bloqueia a resposta)
+    try {
+      const ambiente = getAmbiente(req.params.id);
+      if (ambiente) {
+        bancosPermitidos.forEach(bancoId => {
+          try {
+            const resultado = sincronizarBanco(req.params.id, bancoId);
+            if (!resultado.success) {
+              console.error(`Erro ao sincronizar banco ${bancoId}:`, resultado.error);
+            }
+          } catch (syncError) {
+            console.error(`Erro ao sincronizar banco ${bancoId}:`, syncError);
+          }
+        });
+      }
+    } catch (syncError) {
+      // Erro na sincronização não deve impedir a resposta de sucesso
+      console.error('Erro ao sincronizar bancos:', syncError);
+    }
+    
+    res.json({
+      success: true,
+      ambiente: sanitizarAmbiente(resultado.ambiente)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar permissões',
+      message: error.message
+    });
+  }
+});
+
+// Sincronizar ambiente da rota-4000
+router.post('/ambientes/:id/sincronizar', requireAdmin, auditar('ambiente.sincronizar', 'ambiente', { estado: null }), requirePermissao('ambientes_sincronizar'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const resultado = sincronizarAmbiente(req.params.id);
+    
+    res.json({
+      success: true,
+      message: 'Ambiente sincronizado com sucesso',
+      resultados: resultado.resultados
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao sincronizar ambiente',
+      message: error.message
+    });
+  }
+});
+
+// Sincronizar todos os ambientes (arquivos)
+router.post('/sincronizar-todos', requireAdmin, auditar('ambientes.sincronizar-todos'), requirePermissao('ambientes_sincronizar'), (req, res) => {
+  try {
+    // Logins sincronizam apenas o próprio ambiente
+    const escopo = ambienteDoEscopo(req.auth);
+    const resultado = escopo
+      ? {
+          resultados: [{
+            ambiente: req.auth.ambiente.nome,
+            porta: req.auth.ambiente.porta,
+            ...sincronizarAmbiente(escopo)
+          }]
+        }
+      : sincronizarTodosAmbientes();
+    
+    res.json({
+      success: true,
+      message: 'Todos os ambientes sincronizados',
+      resultados: resultado.resultados
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao sincronizar ambientes',
+      message: error.message
+    });
+  }
+});
+
+// Sincronizar/Detectar ambientes existentes no sistema de arquivos
+router.post('/sincronizar-ambientes', requireAdmin, auditar('ambientes.sincronizar-existentes'), requirePermissao('ambientes_sincronizar'), requireEscopoGlobal, (req, res) => {
+  try {
+    const resultado = sincronizarAmbientesExistentes();
+    
+    if (!resultado.success) {
+      return res.status(500).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Ambientes sincronizados com sucesso',
+      totalDetectados: resultado.totalDetectados,
+      criados: resultado.resultados.criados,
+      atualizados: resultado.resultados.atualizados,
+      inativos: resultado.resultados.existentes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao sincronizar ambientes existentes',
+      message: error.message
+    });
+  }
+});
+
+// Redefinir senha do ambiente (a nova senha é exibida apenas nesta resposta)
+router.post('/ambientes/:id/redefinir-senha', requireAdmin, auditar('ambiente.redefinir-senha', 'ambiente'), requirePermissao('gerenciarAmbientes'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const resultado = resetAmbientePassword(req.params.id);
+    
+    if (!resultado.success) {
+      return res.status(resultado.errorCode === 'DB_SAVE_ERROR' ? 500 : 404).json(resultado);
+    }
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: 'Senha redefinida. Guarde-a agora: ela não será exibida novamente e deverá ser trocada no próximo acesso.',
+      ambiente: resultado.ambiente,
+      senha: resultado.senha
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao redefinir senha do ambiente',
+      message: error.message
+    });
+  }
+});
+
+// Deletar ambiente
+// Logins e chaves de API do ambiente: ?modo=bloquear|desativar|reatribuir&destino=<ambienteId>
+router.delete('/ambientes/:id', requireAdmin, auditar('ambiente.excluir', 'ambiente'), requirePermissao('gerenciarAmbientes'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const { modo, destino } = req.query;
+    
+    // O ambiente de destino também precisa estar no escopo do usuário
+    if (destino && !podeAcessarAmbiente(req.auth, destino)) {
+      return negarEscopo(res);
+    }
+    
+    const resultado = deleteAmbiente(req.params.id, { modo, destino, excluidoPor: autorDaRequisicao(req.auth) });
+    
+    if (!resultado.success) {
+      return res.status(statusErroExclusao(resultado, 404)).json(resultado);
+    }
+    
+    req.auditoria.detalhes = { lixeiraId: resultado.lixeiraId, dependentes: resultado.dependentes };
+    
+    res.json({
+      success: true,
+      message: resultado.message,
+      warning: resultado.warning,
+      lixeiraId: resultado.lixeiraId,
+      dependentes: resultado.dependentes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao deletar ambiente',
+      message: error.message
+    });
+  }
+});
+
+// Obter credenciais de banco
+router.get('/ambientes/:id/bancos/:bancoId/credenciais', requireAdmin, requirePermissao('bancos_gerenciarCredenciais'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const { id, bancoId } = req.params;
+    const resultado = obterCredenciaisBanco(id, bancoId);
+    
+    if (!resultado.success) {
+      return res.status(404).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      credenciais: resultado.credenciais
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao obter credenciais',
+      message: error.message
+    });
+  }
+});
+
+// Atualizar credenciais de banco
+router.put('/ambientes/:id/bancos/:bancoId/credenciais', requireAdmin, auditar('credenciais.atualizar', 'credenciais', { id: req => `${req.params.id}:${req.params.bancoId}`, ambiente: req => req.params.id }), requirePermissao('bancos_gerenciarCredenciais'), requireEscopoAmbiente('id'), async (req, res) => {
+  try {
+    const { id, bancoId } = req.params;
+    const { login, senha, validarToken = true } = req.body;
+    
+    if (!login && !senha) {
+      return res.status(400).json({
+        success: false,
+        error: 'Login ou senha devem ser fornecidos'
+      });
+    }
+    
+    const resultado = await atualizarCredenciaisBanco(id, bancoId, { login, senha }, validarToken);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: resultado.message,
+      validacao: resultado.validacao
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar credenciais',
+      message: error.message
+    });
+  }
+});
+
+// Testar token de banco
+router.post('/bancos/:bancoId/testar-token', requireAdmin, requirePermissao('bancos_testarAPIs'), async (req, res) => {
+  try {
+    const { bancoId } = req.params;
+    const { login, senha } = req.body;
+    const ambienteId = req.body.ambienteId || ambienteDoEscopo(req.auth);
+    
+    if (!podeAcessarAmbiente(req.auth, ambienteId)) {
+      return negarEscopo(res);
+    }
+    
+    if (!login || !senha) {
+      return res.status(400).json({
+        success: false,
+        error: 'Login e senha são obrigatórios para testar o token'
+      });
+    }
+    
+    // Carregar variáveis de ambiente do ambiente se fornecido
+    let envVars = {};
+    if (ambienteId) {
+      const { getAmbiente } = require('../utils/database');
+      const ambiente = getAmbiente(ambienteId);
+      if (ambiente) {
+        const envPath = require('path').join(require('../utils/ambiente-manager').BASE_PATH || '/opt/lunas-digital', ambiente.path, '.env');
+        if (require('fs').existsSync(envPath)) {
+          require('dotenv').config({ path: envPath });
+          envVars = {
+            HUBCREDITO_API_URL: process.env.HUBCREDITO_API_URL,
+            V8_AUTH_URL: process.env.V8_AUTH_URL,
+            V8_CLIENT_ID: process.env.V8_CLIENT_ID,
+            V8_AUDIENCE: process.env.V8_AUDIENCE,
+            PRECENÇABANK_API_URL: process.env.PRECENÇABANK_API_URL
+          };
+        }
+      }
+    }
+    
+    const { validarTokenBanco } = require('../utils/validar-token-banco');
+    const resultado = await validarTokenBanco(bancoId, login, senha, envVars);
+    
+    if (resultado.success) {
+      res.json({
+        success: true,
+        message: resultado.message,
+        token: resultado.token ? resultado.token.substring(0, 50) + '...' : null,
+        lojaId: resultado.lojaId,
+        cpfAtendente: resultado.cpfAtendente,
+        expiresIn: resultado.expiresIn
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: resultado.error,
+        details: resultado.details
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao testar token',
+      message: error.message
+    });
+  }
+});
+
+// Obter status do servidor de um ambiente
+router.get('/ambientes/:id/servidor/status', requireAdmin, requirePermissao('ambientes_visualizar'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const ambiente = getAmbiente(req.params.id);
+    
+    if (!ambiente) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ambiente não encontrado'
+      });
+    }
+    
+    const status = obterStatusServidor(ambiente.porta);
+    
+    res.json({
+      success: true,
+      porta: ambiente.porta,
+      status: status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao obter status do servidor',
+      message: error.message
+    });
+  }
+});
+
+// Iniciar servidor de um ambiente
+router.post('/ambientes/:id/servidor/iniciar', requireAdmin, auditar('servidor.iniciar', 'ambiente', { estado: null }), requirePermissao('ambientes_reiniciar'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const ambiente = getAmbiente(req.params.id);
+    
+    if (!ambiente) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ambiente não encontrado'
+      });
+    }
+    
+    const resultado = iniciarServidor(ambiente.porta);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: resultado.message,
+      status: resultado.status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao iniciar servidor',
+      message: error.message
+    });
+  }
+});
+
+// Parar servidor de um ambiente
+router.post('/ambientes/:id/servidor/parar', requireAdmin, auditar('servidor.parar', 'ambiente', { estado: null }), requirePermissao('ambientes_reiniciar'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const ambiente = getAmbiente(req.params.id);
+    
+    if (!ambiente) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ambiente não encontrado'
+      });
+    }
+    
+    const resultado = pararServidor(ambiente.porta);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: resultado.message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao parar servidor',
+      message: error.message
+    });
+  }
+});
+
+// Reiniciar servidor de um ambiente
+router.post('/ambientes/:id/servidor/reiniciar', requireAdmin, auditar('servidor.reiniciar', 'ambiente', { estado: null }), requirePermissao('ambientes_reiniciar'), requireEscopoAmbiente('id'), (req, res) => {
+  try {
+    const ambiente = getAmbiente(req.params.id);
+    
+    if (!ambiente) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ambiente não encontrado'
+      });
+    }
+    
+    const resultado = reiniciarServidor(ambiente.porta);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: resultado.message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao reiniciar servidor',
+      message: error.message
+    });
+  }
+});
+
+// Obter status de todos os servidores
+router.get('/servidores/status', requireAdmin, requirePermissao('ambientes_visualizar'), (req, res) => {
+  try {
+    let status = obterStatusTodosServidores();
+    
+    // Logins visualizam apenas o servidor do próprio ambiente
+    if (ambienteDoEscopo(req.auth)) {
+      const porta = req.auth.ambiente.porta;
+      status = Array.isArray(status)
+        ? status.filter(s => s.porta === porta)
+        : { [porta]: status[porta] };
+    }
+    
+    res.json({
+      success: true,
+      servidores: status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao obter status dos servidores',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// ROTAS DE USUÁRIOS ADMIN
+// ============================================
+
+// Listar usuários admin
+router.get('/usuarios', requireAdmin, requireUsuarioAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      usuarios: listAdminUsuarios()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar usuários',
+      message: error.message
+    });
+  }
+});
+
+// Criar usuário admin
+router.post('/usuarios', requireAdmin, auditar('usuario.criar', 'usuario'), requireUsuarioAdmin, (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username e password são obrigatórios'
+      });
+    }
+    
+    const resultado = createAdminUsuario(username, password);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    req.auditoria.alvoId = resultado.usuario.id;
+    
+    res.json({
+      success: true,
+      usuario: resultado.usuario
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar usuário',
+      message: error.message
+    });
+  }
+});
+
+// Alterar a própria senha
+router.put('/usuarios/me/senha', requireAdmin, auditar('usuario.alterar-senha', 'usuario', { id: req => req.auth.usuario && req.auth.usuario.id }), requireUsuarioAdmin, (req, res) => {
+  try {
+    const { senhaAtual, novaSenha } = req.body;
+    
+    if (!senhaAtual || !novaSenha) {
+      return res.status(400).json({
+        success: false,
+        error: 'senhaAtual e novaSenha são obrigatórias'
+      });
+    }
+    
+    const resultado = changeAdminPassword(req.auth.usuario.id, senhaAtual, novaSenha, req.auth.sessaoId);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Senha alterada com sucesso',
+      usuario: resultado.usuario
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao alterar senha',
+      message: error.message
+    });
+  }
+});
+
+// Ativar/desativar usuário admin
+router.put('/usuarios/:id', requireAdmin, auditar('usuario.atualizar', 'usuario'), requireUsuarioAdmin, (req, res) => {
+  try {
+    const { ativo } = req.body;
+    
+    const resultado = updateAdminUsuario(req.params.id, { ativo });
+    
+    if (!resultado.success) {
+      return res.status(resultado.errorCode === 'USER_NOT_FOUND' ? 404 : 400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      usuario: resultado.usuario
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar usuário',
+      message: error.message
+    });
+  }
+});
+
+// Deletar usuário admin
+router.delete('/usuarios/:id', requireAdmin, auditar('usuario.excluir', 'usuario'), requireUsuarioAdmin, (req, res) => {
+  try {
+    const resultado = deleteAdminUsuario(req.params.id);
+    
+    if (!resultado.success) {
+      return res.status(resultado.errorCode === 'USER_NOT_FOUND' ? 404 : 400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Usuário deletado com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao deletar usuário',
+      message: error.message
+    });
+  }
+});
+
+// Listar contas e IPs com falhas de login / bloqueados
+router.get('/bloqueios', requireAdmin, requireUsuarioAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      bloqueios: listarBloqueios()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar bloqueios',
+      message: error.message
+    });
+  }
+});
+
+// Liberar conta ou IP bloqueado
+router.delete('/bloqueios/:chave', requireAdmin, auditar('bloqueio.liberar', 'bloqueio', { id: req => req.params.chave }), requireUsuarioAdmin, (req, res) => {
+  try {
+    if (!liberarBloqueio(req.params.chave)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bloqueio não encontrado'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Bloqueio removido com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao remover bloqueio',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// ROTAS DE AUTENTICAÇÃO EM DOIS FATORES (TOTP)
+// ============================================
+
+// Identificar tipo e ID do usuário autenticado
+function sujeitoAtual(req) {
+  return req.auth.tipo === 'admin'
+    ? { tipo: 'admin', id: req.auth.usuario.id }
+    : { tipo: 'login', id: req.auth.login.id };
+}
+
+// Status do 2FA do usuário atual
+router.get('/2fa', requireAdmin, requireSessao, (req, res) => {
+  try {
+    const { tipo, id } = sujeitoAtual(req);
+    const resultado = status2FA(tipo, id);
+    
+    if (!resultado.success) {
+      return res.status(404).json(resultado);
+    }
+    
+    res.json(resultado);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao obter status do 2FA',
+      message: error.message
+    });
+  }
+});
+
+// Iniciar cadastro do 2FA (gera segredo e URI otpauth)
+router.post('/2fa/iniciar', requireAdmin, auditar('2fa.iniciar'), requireSessao, (req, res) => {
+  try {
+    const { tipo, id } = sujeitoAtual(req);
+    const resultado = iniciar2FA(tipo, id);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json(resultado);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao iniciar cadastro do 2FA',
+      message: error.message
+    });
+  }
+});
+
+// Confirmar cadastro do 2FA com o primeiro código (retorna códigos de recuperação)
+router.post('/2fa/confirmar', requireAdmin, auditar('2fa.confirmar'), requireSessao, (req, res) => {
+  try {
+    const { codigo } = req.body;
+    
+    if (!codigo) {
+      return res.status(400).json({
         success: false,
-        error: 'Usuário não encontrado',
-        errorCode: 'USER_NOT_FOUND'
+        error: 'Código é obrigatório'
       });
     }
     
-    if (authLogin.error && authLogin.error.includes('Senha incorreta')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Senha incorreta',
-        errorCode: 'INVALID_PASSWORD'
-      });
+    const { tipo, id } = sujeitoAtual(req);
+    const resultado = confirmar2FA(tipo, id, codigo);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
     }
     
-    // Erro genérico
-    return res.status(401).json({
-      success: false,
-      error: 'Usuário ou senha inválidos',
-      errorCode: 'INVALID_CREDENTIALS'
+    res.json({
+      success: true,
+      message: '2FA ativado com sucesso. Guarde os códigos de recuperação em local seguro.',
+      codigosRecuperacao: resultado.codigosRecuperacao
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao fazer login',
-      errorCode: 'SERVER_ERROR',
+      error: 'Erro ao confirmar 2FA',
       message: error.message
     });
   }
 });
 
-// Validar token (admin ou login criado)
-router.post('/validar-token', (req, res) => {
+// Gerar novos códigos de recuperação
+router.post('/2fa/codigos-recuperacao', requireAdmin, auditar('2fa.regerar-codigos'), requireSessao, (req, res) => {
   try {
-    // Tentar obter token de várias formas
-    let token = null;
+    const { codigo } = req.body;
+    const { tipo, id } = sujeitoAtual(req);
     
-    // 1. Do header Authorization (Bearer token ou token direto)
-    const authHeader = req.headers.authorization;
-    if (authHeader) {
-      if (authHeader.startsWith('Bearer ')) {
-        token = authHeader.split(' ')[1];
-      } else {
-        token = authHeader;
-      }
+    const verificacao = verificar2FA(tipo, id, codigo);
+    if (!verificacao.success) {
+      return res.status(400).json(verificacao);
     }
     
-    // 2. Do body
-    if (!token && req.body.token) {
-      token = req.body.token;
-    }
+    const resultado = regerarCodigosRecuperacao(tipo, id);
     
-    // 3. Do query string (fallback)
-    if (!token && req.query.token) {
-      token = req.query.token;
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
     }
     
-    if (!token) {
-      return res.status(401).json({
+    res.json(resultado);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao gerar códigos de recuperação',
+      message: error.message
+    });
+  }
+});
+
+// Desativar o próprio 2FA (exige senha e código)
+router.post('/2fa/desativar', requireAdmin, auditar('2fa.desativar'), requireSessao, (req, res) => {
+  try {
+    const { senha, codigo } = req.body;
+    const { tipo, id } = sujeitoAtual(req);
+    
+    const registro = tipo === 'admin' ? getAdminUsuario(id) : getLogin(id);
+    if (!registro || !verifyPassword(senha, registro.passwordHash)) {
+      return res.status(400).json({
         success: false,
-        isValid: false,
-        error: 'Token não fornecido'
+        error: 'Senha incorreta',
+        errorCode: 'INVALID_PASSWORD'
       });
     }
     
-    // Validar formato do token (admin-token-{timestamp} ou login-token-{loginId}-{timestamp})
-    // Em produção, usar JWT e verificar assinatura
-    if (typeof token === 'string') {
-      const agora = Date.now();
-      const umDia = 24 * 60 * 60 * 1000; // 24 horas em milissegundos
-      
-      if (token.startsWith('admin-token-')) {
-        // Token de admin: admin-token-{timestamp}
-        const timestamp = parseInt(token.replace('admin-token-', ''));
-        
-        if (isNaN(timestamp) || (agora - timestamp) > umDia) {
-          return res.status(401).json({
-            success: false,
-            isValid: false,
-            error: 'Token expirado'
-          });
-        }
-        
-        return res.json({
-          success: true,
-          isValid: true,
-          tipo: 'admin',
-          message: 'Token válido'
-        });
-      } else if (token.startsWith('login-token-')) {
-        // Token de login: login-token-{loginId}-{timestamp}
-        const partes = token.replace('login-token-', '').split('-');
-        if (partes.length < 2) {
-          return res.status(401).json({
-            success: false,
-            isValid: false,
-            error: 'Token inválido'
-          });
-        }
-        
-        const timestamp = parseInt(partes[partes.length - 1]);
-        const loginId = partes.slice(0, -1).join('-');
-        
-        if (isNaN(timestamp) || (agora - timestamp) > umDia) {
-          return res.status(401).json({
-            success: false,
-            isValid: false,
-            error: 'Token expirado'
-          });
-        }
-        
-        // Verificar se o login ainda existe e está ativo
-        const { getLogin } = require('../utils/database');
-        const login = getLogin(loginId);
-        
-        if (!login) {
-          return res.status(401).json({
-            success: false,
-            isValid: false,
-            error: 'Login não encontrado'
-          });
-        }
-        
-        if (!login.ativo) {
-          return res.status(401).json({
-            success: false,
-            isValid: false,
-            error: 'Login inativo'
-          });
-        }
-        
-        // Verificar se ambiente está ativo
-        const { getAmbiente } = require('../utils/database');
-        const ambiente = getAmbiente(login.ambienteId);
-        if (!ambiente || !ambiente.ativo) {
-          return res.status(401).json({
-            success: false,
-            isValid: false,
-            error: 'Ambiente inativo'
-          });
-        }
-        
-        // Verificar se perfil está ativo (se houver)
-        if (login.perfilId) {
-          const { getPerfil } = require('../utils/database');
-          const perfil = getPerfil(login.perfilId);
-          if (!perfil || !perfil.ativo) {
-            return res.status(401).json({
-              success: false,
-              isValid: false,
-              error: 'Perfil inativo'
-            });
-          }
-        }
-        
-        // Buscar perfil associado
-        let perfil = null;
-        if (login.perfilId) {
-          const { getPerfil } = require('../utils/database');
-          perfil = getPerfil(login.perfilId);
-        }
-        
-        return res.json({
-          success: true,
-          isValid: true,
-          tipo: 'login',
-          loginId: loginId,
-          login: {
-            id: login.id,
-            username: login.username,
-            ambienteId: login.ambienteId,
-            perfilId: login.perfilId
-          },
-          ambiente: ambiente,
-          perfil: perfil,
-          permissoes: perfil ? perfil.permissoes : null,
-          message: 'Token válido'
-        });
-      }
+    const verificacao = verificar2FA(tipo, id, codigo);
+    if (!verificacao.success) {
+      return res.status(400).json(verificacao);
     }
     
-    // Token com formato desconhecido
-    res.status(401).json({
-      success: false,
-      isValid: false,
-      error: 'Token inválido'
+    desativar2FA(tipo, id);
+    
+    res.json({
+      success: true,
+      message: '2FA desativado com sucesso'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      isValid: false,
-      error: 'Erro ao validar token',
+      error: 'Erro ao desativar 2FA',
       message: error.message
     });
   }
 });
 
-// Listar bancos disponíveis na rota-4000
-router.get('/bancos-disponiveis', requireAdmin, (req, res) => {
+// Remover 2FA de um usuário admin (ex: perda do dispositivo)
+router.delete('/usuarios/:id/2fa', requireAdmin, auditar('2fa.remover', 'usuario'), requireUsuarioAdmin, (req, res) => {
   try {
-    const bancos = detectarBancosDisponiveis();
-    const bancosDB = getBancosDisponiveis();
+    const resultado = desativar2FA('admin', req.params.id);
     
-    // Atualizar banco de dados com bancos detectados
-    updateBancosDisponiveis(bancos);
+    if (!resultado.success) {
+      return res.status(404).json(resultado);
+    }
     
     res.json({
       success: true,
-      bancos: bancos,
-      bancosDB: bancosDB
+      message: '2FA removido com sucesso'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao listar bancos disponíveis',
+      error: 'Erro ao remover 2FA',
       message: error.message
     });
   }
 });
 
-// Obter credenciais de um banco em todos os ambientes
-router.get('/bancos/:bancoId/credenciais', requireAdmin, (req, res) => {
+// Remover 2FA de um login
+router.delete('/logins/:id/2fa', requireAdmin, auditar('2fa.remover', 'login'), requireUsuarioAdmin, (req, res) => {
   try {
-    const { bancoId } = req.params;
-    const resultado = obterCredenciaisBancoTodosAmbientes(bancoId);
+    const resultado = desativar2FA('login', req.params.id);
     
-    res.json(resultado);
+    if (!resultado.success) {
+      return res.status(404).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: '2FA removido com sucesso'
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao obter credenciais do banco',
+      error: 'Erro ao remover 2FA',
       message: error.message
     });
   }
 });
 
-// Atualizar credenciais de banco em um ambiente específico
-router.put('/bancos/:bancoId/ambientes/:ambienteId/credenciais', requireAdmin, async (req, res) => {
+// ============================================
+// ROTAS DE CHAVES DE API
+// ============================================
+
+// Listar chaves de API
+router.get('/api-keys', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const { bancoId, ambienteId } = req.params;
-    const { login, senha, validarToken = true } = req.body;
-    
-    if (!login && !senha) {
-      return res.status(400).json({
-        success: false,
-        error: 'Login ou senha devem ser fornecidos'
-      });
-    }
+    res.json({
+      success: true,
+      apiKeys: listApiKeys()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar chaves de API',
+      message: error.message
+    });
+  }
+});
+
+// Criar chave de API (o valor da chave só é exibido nesta resposta)
+router.post('/api-keys', requireAdmin, auditar('apikey.criar', 'apiKey'), requireUsuarioAdmin, (req, res) => {
+  try {
+    const { label, permissoes, ambienteId } = req.body;
     
-    const resultado = await atualizarCredenciaisBancoAmbiente(ambienteId, bancoId, { login, senha }, validarToken);
+    const resultado = createApiKey({
+      label,
+      permissoes,
+      ambienteId,
+      criadoPor: req.auth.usuario.username
+    });
     
     if (!resultado.success) {
       return res.status(400).json(resultado);
     }
     
+    req.auditoria.alvoId = resultado.apiKey.id;
+    
     res.json({
       success: true,
-      message: resultado.message,
-      validacao: resultado.validacao
+      apiKey: resultado.apiKey,
+      chave: resultado.chave,
+      message: 'Guarde a chave em local seguro: ela não será exibida novamente'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao atualizar credenciais',
+      error: 'Erro ao criar chave de API',
       message: error.message
     });
   }
 });
 
-// Listar ambientes
-router.get('/ambientes', requireAdmin, (req, res) => {
+// Rotacionar chave de API
+router.post('/api-keys/:id/rotacionar', requireAdmin, auditar('apikey.rotacionar', 'apiKey'), requireUsuarioAdmin, (req, res) => {
   try {
-    const ambientes = listAmbientes();
+    const resultado = rotacionarApiKey(req.params.id);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
     res.json({
       success: true,
-      ambientes: ambientes
+      apiKey: resultado.apiKey,
+      chave: resultado.chave,
+      message: 'Guarde a chave em local seguro: ela não será exibida novamente'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao listar ambientes',
+      error: 'Erro ao rotacionar chave de API',
       message: error.message
     });
   }
 });
 
-// Obter ambiente específico
-router.get('/ambientes/:id', requireAdmin, (req, res) => {
+// Revogar chave de API
+router.delete('/api-keys/:id', requireAdmin, auditar('apikey.revogar', 'apiKey'), requireUsuarioAdmin, (req, res) => {
   try {
-    const ambiente = getAmbiente(req.params.id);
+    const resultado = revogarApiKey(req.params.id);
     
-    if (!ambiente) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ambiente não encontrado'
-      });
+    if (!resultado.success) {
+      return res.status(404).json(resultado);
     }
     
     res.json({
       success: true,
-      ambiente: ambiente
+      message: 'Chave de API revogada com sucesso'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao obter ambiente',
+      error: 'Erro ao revogar chave de API',
       message: error.message
     });
   }
 });
 
-// Atualizar ambiente (nome, pipeline, etc)
-router.put('/ambientes/:id', requireAdmin, (req, res) => {
+// ============================================
+// ROTAS DE SNAPSHOTS DO BANCO DE DADOS
+// ============================================
+
+// Listar snapshots (mais recente primeiro)
+router.get('/snapshots', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const { nome, pipelineKentro, ativo } = req.body;
-    
-    const resultado = updateAmbiente(req.params.id, {
-      nome,
-      pipelineKentro,
-      ativo
-    });
-    
-    if (!resultado.success) {
-      return res.status(400).json(resultado);
-    }
-    
     res.json({
       success: true,
-      ambiente: resultado.ambiente
+      snapshots: listarSnapshots()
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao atualizar ambiente',
+      error: 'Erro ao listar snapshots',
       message: error.message
     });
   }
 });
 
-// Criar novo ambiente
-router.post('/ambientes', requireAdmin, (req, res) => {
+// Comparar snapshot com o estado atual
+router.get('/snapshots/:id/diff', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const { nome, porta, username, password, bancosPermitidos, pipelineKentro } = req.body;
-    
-    if (!nome || !porta || !username || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Nome, porta, username e password são obrigatórios'
-      });
-    }
+    const snapshot = lerSnapshot(req.params.id);
     
-    // Validar porta
-    const portaNum = parseInt(porta);
-    if (isNaN(portaNum) || portaNum < 1000 || portaNum > 9999) {
-      return res.status(400).json({
+    if (!snapshot) {
+      return res.status(404).json({
         success: false,
-        error: 'Porta deve ser um número entre 1000 e 9999'
+        error: 'Snapshot não encontrado',
+        errorCode: 'SNAPSHOT_NOT_FOUND'
       });
     }
     
-    // Criar ambiente no banco de dados
-    const resultado = createAmbiente(nome, portaNum, username, password, bancosPermitidos || [], pipelineKentro || null);
-    
-    if (!resultado.success) {
-      return res.status(400).json(resultado);
-    }
-    
-    // Criar estrutura de arquivos
-    const estrutura = criarEstruturaAmbiente(portaNum, bancosPermitidos || []);
-    
     res.json({
       success: true,
-      ambiente: resultado.ambiente,
-      estrutura: estrutura
+      id: req.params.id,
+      diff: compararComAtual(snapshot, getDatabase())
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao criar ambiente',
+      error: 'Erro ao comparar snapshot',
       message: error.message
     });
   }
 });
 
-// Atualizar permissões de bancos de um ambiente
-router.put('/ambientes/:id/bancos', requireAdmin, (req, res) => {
+// Restaurar snapshot (o estado substituído é preservado em um novo snapshot)
+router.post('/snapshots/:id/restaurar', requireAdmin, auditar('snapshot.restaurar', 'snapshot'), requireUsuarioAdmin, (req, res) => {
   try {
-    const { bancosPermitidos } = req.body;
+    const snapshot = lerSnapshot(req.params.id);
     
-    if (!Array.isArray(bancosPermitidos)) {
-      return res.status(400).json({
+    if (!snapshot) {
+      return res.status(404).json({
         success: false,
-        error: 'bancosPermitidos deve ser um array'
+        error: 'Snapshot não encontrado',
+        errorCode: 'SNAPSHOT_NOT_FOUND'
       });
     }
     
-    const resultado = updateBancosPermitidos(req.params.id, bancosPermitidos);
+    const resultado = restaurarBanco(snapshot);
     
     if (!resultado.success) {
-      return res.status(404).json(resultado);
+      return res.status(resultado.errorCode === 'SCHEMA_TOO_NEW' ? 400 : 500).json(resultado);
     }
     
-    // Sincronizar bancos adicionados (não bloqueia a resposta)
-    try {
-      const ambiente = getAmbiente(req.params.id);
-      if (ambiente) {
-        bancosPermitidos.forEach(bancoId => {
-          try {
-            const resultado = sincronizarBanco(req.params.id, bancoId);
-            if (!resultado.success) {
-              console.error(`Erro ao sincronizar banco ${bancoId}:`, resultado.error);
-            }
-          } catch (syncError) {
-            console.error(`Erro ao sincronizar banco ${bancoId}:`, syncError);
-          }
-        });
-      }
-    } catch (syncError) {
-      // Erro na sincronização não deve impedir a resposta de sucesso
-      console.error('Erro ao sincronizar bancos:', syncError);
-    }
+    console.log(`♻️ Snapshot ${req.params.id} restaurado por ${req.auth.usuario.username}`);
     
     res.json({
       success: true,
-      ambiente: resultado.ambiente
+      migracoesAplicadas: resultado.migracoesAplicadas,
+      message: 'Snapshot restaurado com sucesso. O estado anterior foi preservado em um novo snapshot'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao atualizar permissões',
+      error: 'Erro ao restaurar snapshot',
       message: error.message
     });
   }
 });
 
-// Sincronizar ambiente da rota-4000
-router.post('/ambientes/:id/sincronizar', requireAdmin, (req, res) => {
+// ============================================
+// ROTAS DE RECUPERAÇÃO DO BANCO DE DADOS
+// ============================================
+
+// Situação do banco (em recuperação: erro, cópia preservada e snapshot usado nas leituras)
+router.get('/recuperacao', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const resultado = sincronizarAmbiente(req.params.id);
+    const banco = statusBanco();
+    const snapshotValido = banco.status === 'recuperacao' ? ultimoSnapshotValido() : null;
     
     res.json({
       success: true,
-      message: 'Ambiente sincronizado com sucesso',
-      resultados: resultado.resultados
+      banco,
+      ultimoSnapshotValido: snapshotValido ? snapshotValido.id : null
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao sincronizar ambiente',
+      error: 'Erro ao obter situação do banco de dados',
       message: error.message
     });
   }
 });
 
-// Sincronizar todos os ambientes (arquivos)
-router.post('/sincronizar-todos', requireAdmin, (req, res) => {
+// Baixar a cópia preservada do arquivo corrompido (para reparo manual)
+router.get('/recuperacao/arquivo-corrompido', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const resultado = sincronizarTodosAmbientes();
+    const banco = statusBanco();
     
-    res.json({
-      success: true,
-      message: 'Todos os ambientes sincronizados',
-      resultados: resultado.resultados
-    });
+    if (!banco.arquivoPreservado || !fs.existsSync(banco.arquivoPreservado)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Nenhum arquivo corrompido preservado',
+        errorCode: 'NOT_IN_RECOVERY'
+      });
+    }
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(banco.arquivoPreservado)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('application/octet-stream').send(fs.readFileSync(banco.arquivoPreservado));
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao sincronizar ambientes',
+      error: 'Erro ao obter arquivo corrompido',
       message: error.message
     });
   }
 });
 
-// Sincronizar/Detectar ambientes existentes no sistema de arquivos
-router.post('/sincronizar-ambientes', requireAdmin, (req, res) => {
+// Restaurar a partir de um snapshot (padrão: o último snapshot válido)
+router.post('/recuperacao/restaurar', requireAdmin, auditar('recuperacao.restaurar'), requireUsuarioAdmin, (req, res) => {
   try {
-    const resultado = sincronizarAmbientesExistentes();
+    const { snapshotId } = req.body;
+    
+    let snapshot = null;
+    if (snapshotId) {
+      const documento = lerSnapshot(snapshotId);
+      snapshot = documento ? { id: snapshotId, documento } : null;
+    } else {
+      snapshot = ultimoSnapshotValido();
+    }
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: snapshotId ? 'Snapshot não encontrado' : 'Nenhum snapshot válido disponível',
+        errorCode: 'SNAPSHOT_NOT_FOUND'
+      });
+    }
+    
+    const resultado = recuperarBanco(snapshot.documento);
+    
+    if (!resultado.success) {
+      return res.status(resultado.errorCode === 'DB_SAVE_ERROR' ? 500 : 400).json(resultado);
+    }
+    
+    console.log(`♻️ Banco de dados recuperado do snapshot ${snapshot.id} por ${req.auth.usuario.username}`);
+    req.auditoria.detalhes = { snapshotId: snapshot.id };
     
     res.json({
       success: true,
-      message: 'Ambientes sincronizados com sucesso',
-      totalDetectados: resultado.totalDetectados,
-      criados: resultado.resultados.criados,
-      atualizados: resultado.resultados.atualizados,
-      inativos: resultado.resultados.existentes
+      snapshotId: snapshot.id,
+      migracoesAplicadas: resultado.migracoesAplicadas,
+      message: 'Banco de dados restaurado. Alterações posteriores ao snapshot foram perdidas; a cópia do arquivo corrompido continua preservada'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao sincronizar ambientes existentes',
+      error: 'Erro ao restaurar banco de dados',
       message: error.message
     });
   }
 });
 
-// Deletar ambiente
-router.delete('/ambientes/:id', requireAdmin, (req, res) => {
+// Substituir o banco corrompido por um documento reparado
+// (arquivos grandes podem ser corrigidos diretamente em disco: a correção é detectada automaticamente)
+router.post('/recuperacao/reparar', requireAdmin, auditar('recuperacao.reparar'), requireUsuarioAdmin, (req, res) => {
   try {
-    const resultado = deleteAmbiente(req.params.id);
+    let { documento } = req.body;
+    
+    if (typeof documento === 'string') {
+      try {
+        documento = JSON.parse(documento);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `JSON inválido: ${error.message}`,
+          errorCode: 'INVALID_DOCUMENT'
+        });
+      }
+    }
+    
+    const resultado = recuperarBanco(documento);
     
     if (!resultado.success) {
-      return res.status(404).json(resultado);
+      return res.status(resultado.errorCode === 'DB_SAVE_ERROR' ? 500 : 400).json(resultado);
     }
     
+    console.log(`🔧 Banco de dados reparado por ${req.auth.usuario.username}`);
+    
     res.json({
       success: true,
-      message: 'Ambiente deletado com sucesso'
+      migracoesAplicadas: resultado.migracoesAplicadas,
+      message: 'Banco de dados reparado com sucesso'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao deletar ambiente',
+      error: 'Erro ao reparar banco de dados',
       message: error.message
     });
   }
 });
 
-// Obter credenciais de banco
-router.get('/ambientes/:id/bancos/:bancoId/credenciais', requireAdmin, (req, res) => {
+// ============================================
+// ROTAS DE INTEGRIDADE REFERENCIAL
+// ============================================
+
+// Listar logins e chaves de API que apontam para perfis/ambientes inexistentes
+router.get('/integridade', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const { id, bancoId } = req.params;
-    const resultado = obterCredenciaisBanco(id, bancoId);
-    
-    if (!resultado.success) {
-      return res.status(404).json(resultado);
-    }
-    
     res.json({
       success: true,
-      credenciais: resultado.credenciais
+      ...verificarIntegridadeBanco()
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao obter credenciais',
+      error: 'Erro ao verificar integridade',
       message: error.message
     });
   }
 });
 
-// Atualizar credenciais de banco
-router.put('/ambientes/:id/bancos/:bancoId/credenciais', requireAdmin, async (req, res) => {
+// Corrigir referências órfãs: desativar ou reatribuir (perfilDestino/ambienteDestino)
+router.post('/integridade/corrigir', requireAdmin, auditar('integridade.corrigir'), requireUsuarioAdmin, (req, res) => {
   try {
-    const { id, bancoId } = req.params;
-    const { login, senha, validarToken = true } = req.body;
-    
-    if (!login && !senha) {
-      return res.status(400).json({
-        success: false,
-        error: 'Login ou senha devem ser fornecidos'
-      });
-    }
-    
-    const resultado = await atualizarCredenciaisBanco(id, bancoId, { login, senha }, validarToken);
+    const { modo, perfilDestino, ambienteDestino } = req.body;
+    const resultado = corrigirIntegridadeBanco({ modo, perfilDestino, ambienteDestino });
     
     if (!resultado.success) {
-      return res.status(400).json(resultado);
+      return res.status(resultado.errorCode === 'DB_SAVE_ERROR' ? 500 : 400).json(resultado);
     }
     
+    req.auditoria.detalhes = { modo: modo || 'desativar', corrigidos: resultado.corrigidos };
+    
     res.json({
       success: true,
-      message: resultado.message,
-      validacao: resultado.validacao
+      corrigidos: resultado.corrigidos,
+      total: resultado.total,
+      message: resultado.total > 0 ? `${resultado.total} referência(s) corrigida(s)` : 'Nenhuma referência órfã encontrada'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao atualizar credenciais',
+      error: 'Erro ao corrigir integridade',
       message: error.message
     });
   }
 });
 
-// Testar token de banco
-router.post('/bancos/:bancoId/testar-token', requireAdmin, async (req, res) => {
+// ============================================
+// ROTAS DA LIXEIRA
+// ============================================
+
+// Listar itens excluídos (?tipo=ambiente|perfil|login)
+router.get('/lixeira', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const { bancoId } = req.params;
-    const { login, senha, ambienteId } = req.body;
+    const { tipo } = req.query;
     
-    if (!login || !senha) {
+    if (tipo && !TIPOS_LIXEIRA[tipo]) {
       return res.status(400).json({
         success: false,
-        error: 'Login e senha são obrigatórios para testar o token'
+        error: `Tipo inválido: use ${Object.keys(TIPOS_LIXEIRA).join(', ')}`
       });
     }
     
-    // Carregar variáveis de ambiente do ambiente se fornecido
-    let envVars = {};
-    if (ambienteId) {
-      const { getAmbiente } = require('../utils/database');
-      const ambiente = getAmbiente(ambienteId);
-      if (ambiente) {
-        const envPath = require('path').join(require('../utils/ambiente-manager').BASE_PATH || '/opt/lunas-digital', ambiente.path, '.env');
-        if (require('fs').existsSync(envPath)) {
-          require('dotenv').config({ path: envPath });
-          envVars = {
-            HUBCREDITO_API_URL: process.env.HUBCREDITO_API_URL,
-            V8_AUTH_URL: process.env.V8_AUTH_URL,
-            V8_CLIENT_ID: process.env.V8_CLIENT_ID,
-            V8_AUDIENCE: process.env.V8_AUDIENCE,
-            PRECENÇABANK_API_URL: process.env.PRECENÇABANK_API_URL
-          };
-        }
-      }
-    }
-    
-    const { validarTokenBanco } = require('../utils/validar-token-banco');
-    const resultado = await validarTokenBanco(bancoId, login, senha, envVars);
-    
-    if (resultado.success) {
-      res.json({
-        success: true,
-        message: resultado.message,
-        token: resultado.token ? resultado.token.substring(0, 50) + '...' : null,
-        lojaId: resultado.lojaId,
-        cpfAtendente: resultado.cpfAtendente,
-        expiresIn: resultado.expiresIn
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        error: resultado.error,
-        details: resultado.details
-      });
-    }
+    res.json({
+      success: true,
+      retencaoDias: RETENCAO_LIXEIRA_DIAS,
+      itens: listarLixeira(tipo || null)
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao testar token',
+      error: 'Erro ao listar lixeira',
       message: error.message
     });
   }
 });
 
-// Obter status do servidor de um ambiente
-router.get('/ambientes/:id/servidor/status', requireAdmin, (req, res) => {
+// Restaurar item da lixeira
+router.post('/lixeira/:id/restaurar', requireAdmin, auditar('lixeira.restaurar', 'lixeira'), requireUsuarioAdmin, (req, res) => {
   try {
-    const ambiente = getAmbiente(req.params.id);
+    const resultado = restaurarDaLixeira(req.params.id);
     
-    if (!ambiente) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ambiente não encontrado'
-      });
+    if (!resultado.success) {
+      const status = {
+        TRASH_ITEM_NOT_FOUND: 404,
+        FOLDER_RESTORE_ERROR: 500,
+        DB_SAVE_ERROR: 500
+      }[resultado.errorCode] || 409;
+      return res.status(status).json(resultado);
     }
     
-    const status = obterStatusServidor(ambiente.porta);
+    req.auditoria.ambienteId = resultado.tipo === 'ambiente' ? resultado.registro.id : resultado.registro.ambienteId || null;
+    req.auditoria.detalhes = { tipo: resultado.tipo, registroId: resultado.registro.id };
     
     res.json({
       success: true,
-      porta: ambiente.porta,
-      status: status
+      tipo: resultado.tipo,
+      registro: resultado.registro,
+      pastaRestaurada: resultado.pastaRestaurada,
+      message: 'Item restaurado com sucesso'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao obter status do servidor',
+      error: 'Erro ao restaurar item da lixeira',
       message: error.message
     });
   }
 });
 
-// Iniciar servidor de um ambiente
-router.post('/ambientes/:id/servidor/iniciar', requireAdmin, (req, res) => {
+// Excluir item definitivamente (inclusive a pasta em quarentena)
+router.delete('/lixeira/:id', requireAdmin, auditar('lixeira.excluir', 'lixeira'), requireUsuarioAdmin, (req, res) => {
   try {
-    const ambiente = getAmbiente(req.params.id);
-    
-    if (!ambiente) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ambiente não encontrado'
-      });
-    }
-    
-    const resultado = iniciarServidor(ambiente.porta);
+    const resultado = expurgarLixeira(req.params.id);
     
     if (!resultado.success) {
-      return res.status(400).json(resultado);
+      return res.status(resultado.errorCode === 'TRASH_ITEM_NOT_FOUND' ? 404 : 500).json(resultado);
     }
     
     res.json({
       success: true,
-      message: resultado.message,
-      status: resultado.status
+      message: 'Item excluído definitivamente'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao iniciar servidor',
+      error: 'Erro ao excluir item da lixeira',
       message: error.message
     });
   }
 });
 
-// Parar servidor de um ambiente
-router.post('/ambientes/:id/servidor/parar', requireAdmin, (req, res) => {
+// ============================================
+// ROTAS DE EXPORTAÇÃO E IMPORTAÇÃO
+// ============================================
+
+// Exportar configuração (hashes de senha e segredos de 2FA só com ?senhas=true; a inclusão fica no log de auditoria)
+router.get('/export', requireAdmin, auditar('configuracao.exportar'), requireUsuarioAdmin, (req, res) => {
   try {
-    const ambiente = getAmbiente(req.params.id);
-    
-    if (!ambiente) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ambiente não encontrado'
-      });
-    }
-    
-    const resultado = pararServidor(ambiente.porta);
+    const incluirSenhas = req.query.senhas === 'true';
+    const pacote = exportarConfiguracaoBanco({
+      incluirSenhas,
+      exportadoPor: req.auth.usuario.username
+    });
     
-    if (!resultado.success) {
-      return res.status(400).json(resultado);
-    }
+    req.auditoria.detalhes = { incluiSenhas: incluirSenhas };
     
-    res.json({
-      success: true,
-      message: resultado.message
-    });
+    const data = pacote.exportadoEm.slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="sistema-admin-config-${data}.json"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(pacote);
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao parar servidor',
+      error: 'Erro ao exportar configuração',
       message: error.message
     });
   }
 });
 
-// Reiniciar servidor de um ambiente
-router.post('/ambientes/:id/servidor/reiniciar', requireAdmin, (req, res) => {
+// Importar configuração: { pacote, modo: 'mesclar'|'substituir', simular }
+router.post('/import', requireAdmin, auditar('configuracao.importar'), requireUsuarioAdmin, (req, res) => {
   try {
-    const ambiente = getAmbiente(req.params.id);
+    const { pacote, modo, simular } = req.body;
     
-    if (!ambiente) {
-      return res.status(404).json({
-        success: false,
-        error: 'Ambiente não encontrado'
-      });
+    const resultado = importarConfiguracaoBanco(pacote, {
+      modo: modo || 'mesclar',
+      simular: simular === true || simular === 'true',
+      importadoPor: autorDaRequisicao(req.auth)
+    });
+    
+    if (!resultado.success) {
+      const status = { IMPORT_INVALID: 400, IMPORT_CONFLICT: 409 }[resultado.errorCode] || 500;
+      return res.status(status).json(resultado);
     }
     
-    const resultado = reiniciarServidor(ambiente.porta);
+    req.auditoria.detalhes = { modo: resultado.modo, simulacao: resultado.simulacao, resumo: resultado.resumo };
     
-    if (!resultado.success) {
-      return res.status(400).json(resultado);
+    if (!resultado.simulacao) {
+      console.log(`📥 Configuração importada (${resultado.modo}) por ${req.auth.usuario.username}`);
     }
     
     res.json({
-      success: true,
-      message: resultado.message
+      ...resultado,
+      message: resultado.simulacao ? 'Simulação concluída: nenhuma alteração foi gravada' : 'Configuração importada com sucesso'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao reiniciar servidor',
+      error: 'Erro ao importar configuração',
       message: error.message
     });
   }
 });
 
-// Obter status de todos os servidores
-router.get('/servidores/status', requireAdmin, (req, res) => {
+// ============================================
+// ROTAS DE AUDITORIA
+// ============================================
+
+// Consultar log de auditoria (?ator=&ambienteId=&acao=&de=&ate=&limite=&pagina=&formato=csv)
+router.get('/auditoria', requireAdmin, requireUsuarioAdmin, (req, res) => {
   try {
-    const status = obterStatusTodosServidores();
+    const { ator, ambienteId, acao, de, ate, limite, pagina, formato } = req.query;
+    const csv = formato === 'csv';
     
-    res.json({
-      success: true,
-      servidores: status
-    });
+    const resultado = consultarEventos({ ator, ambienteId, acao, de, ate, limite, pagina, todos: csv });
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    if (csv) {
+      const data = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="auditoria-${data}.csv"`);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.send(eventosParaCsv(resultado.eventos));
+    }
+    
+    res.json(resultado);
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Erro ao obter status dos servidores',
+      error: 'Erro ao consultar auditoria',
       message: error.message
     });
   }
@@ -950,8 +2624,10 @@ router.get('/servidores/status', requireAdmin, (req, res) => {
 // ROTAS DE PERFIS
 // ============================================
 
+// Perfis são compartilhados entre ambientes: logins (restritos ao próprio ambiente) só os consultam
+
 // Listar perfis
-router.get('/perfis', requireAdmin, (req, res) => {
+router.get('/perfis', requireAdmin, requirePermissao('criarPerfis'), (req, res) => {
   try {
     const perfis = listPerfis();
     res.json({
@@ -968,7 +2644,7 @@ router.get('/perfis', requireAdmin, (req, res) => {
 });
 
 // Obter perfil específico
-router.get('/perfis/:id', requireAdmin, (req, res) => {
+router.get('/perfis/:id', requireAdmin, requirePermissao('criarPerfis'), (req, res) => {
   try {
     const perfil = getPerfil(req.params.id);
     
@@ -993,7 +2669,7 @@ router.get('/perfis/:id', requireAdmin, (req, res) => {
 });
 
 // Criar novo perfil
-router.post('/perfis', requireAdmin, (req, res) => {
+router.post('/perfis', requireAdmin, auditar('perfil.criar', 'perfil'), requirePermissao('criarPerfis'), requireEscopoGlobal, (req, res) => {
   try {
     const { nome, loginsPermitidos, permissoes } = req.body;
     
@@ -1010,6 +2686,8 @@ router.post('/perfis', requireAdmin, (req, res) => {
       return res.status(400).json(resultado);
     }
     
+    req.auditoria.alvoId = resultado.perfil.id;
+    
     res.json({
       success: true,
       perfil: resultado.perfil
@@ -1024,7 +2702,7 @@ router.post('/perfis', requireAdmin, (req, res) => {
 });
 
 // Atualizar perfil
-router.put('/perfis/:id', requireAdmin, (req, res) => {
+router.put('/perfis/:id', requireAdmin, auditar('perfil.atualizar', 'perfil'), requirePermissao('criarPerfis'), requireEscopoGlobal, (req, res) => {
   try {
     const { nome, permissoes, ativo } = req.body;
     
@@ -1052,17 +2730,23 @@ router.put('/perfis/:id', requireAdmin, (req, res) => {
 });
 
 // Deletar perfil
-router.delete('/perfis/:id', requireAdmin, (req, res) => {
+// Logins com o perfil: ?modo=bloquear|desativar|reatribuir&destino=<perfilId>
+router.delete('/perfis/:id', requireAdmin, auditar('perfil.excluir', 'perfil'), requirePermissao('criarPerfis'), requireEscopoGlobal, (req, res) => {
   try {
-    const resultado = deletePerfil(req.params.id);
+    const { modo, destino } = req.query;
+    const resultado = deletePerfil(req.params.id, { modo, destino, excluidoPor: autorDaRequisicao(req.auth) });
     
     if (!resultado.success) {
-      return res.status(400).json(resultado);
+      return res.status(statusErroExclusao(resultado, 400)).json(resultado);
     }
     
+    req.auditoria.detalhes = { lixeiraId: resultado.lixeiraId, dependentes: resultado.dependentes };
+    
     res.json({
       success: true,
-      message: 'Perfil deletado com sucesso'
+      message: 'Perfil movido para a lixeira',
+      lixeiraId: resultado.lixeiraId,
+      dependentes: resultado.dependentes
     });
   } catch (error) {
     res.status(500).json({
@@ -1077,12 +2761,12 @@ router.delete('/perfis/:id', requireAdmin, (req, res) => {
 // ROTAS DE LOGINS
 // ============================================
 
-router.get('/logins', requireAdmin, (req, res) => {
+router.get('/logins', requireAdmin, requirePermissao('criarPerfis'), (req, res) => {
   try {
-    const logins = listLogins();
+    const logins = listLogins().filter(l => podeAcessarAmbiente(req.auth, l.ambienteId));
     res.json({
       success: true,
-      logins: logins
+      logins: logins.map(sanitizarLogin)
     });
   } catch (error) {
     res.status(500).json({
@@ -1093,7 +2777,7 @@ router.get('/logins', requireAdmin, (req, res) => {
   }
 });
 
-router.get('/logins/:id', requireAdmin, (req, res) => {
+router.get('/logins/:id', requireAdmin, requirePermissao('criarPerfis'), (req, res) => {
   try {
     const login = getLogin(req.params.id);
     
@@ -1104,9 +2788,13 @@ router.get('/logins/:id', requireAdmin, (req, res) => {
       });
     }
     
+    if (!podeAcessarAmbiente(req.auth, login.ambienteId)) {
+      return negarEscopo(res);
+    }
+    
     res.json({
       success: true,
-      login: login
+      login: sanitizarLogin(login)
     });
   } catch (error) {
     res.status(500).json({
@@ -1117,7 +2805,7 @@ router.get('/logins/:id', requireAdmin, (req, res) => {
   }
 });
 
-router.post('/logins', requireAdmin, (req, res) => {
+router.post('/logins', requireAdmin, auditar('login.criar', 'login'), requirePermissao('criarPerfis'), (req, res) => {
   try {
     const { username, password, ambienteId, perfilId } = req.body;
     
@@ -1128,6 +2816,10 @@ router.post('/logins', requireAdmin, (req, res) => {
       });
     }
     
+    if (!podeAcessarAmbiente(req.auth, ambienteId)) {
+      return negarEscopo(res);
+    }
+    
     // Normalizar perfilId: converter string vazia para null
     let perfilIdNormalizado = null;
     if (perfilId) {
@@ -1138,15 +2830,22 @@ router.post('/logins', requireAdmin, (req, res) => {
       }
     }
     
+    const perfil = perfilIdNormalizado ? getPerfil(perfilIdNormalizado) : null;
+    if (perfil && !podeAtribuirPerfil(req.auth, perfil)) {
+      return negarPerfil(res);
+    }
+    
     const resultado = createLogin(username, password, ambienteId, perfilIdNormalizado);
     
     if (!resultado.success) {
       return res.status(400).json(resultado);
     }
     
+    req.auditoria.alvoId = resultado.login.id;
+    
     res.json({
       success: true,
-      login: resultado.login
+      login: sanitizarLogin(resultado.login)
     });
   } catch (error) {
     res.status(500).json({
@@ -1157,10 +2856,24 @@ router.post('/logins', requireAdmin, (req, res) => {
   }
 });
 
-router.put('/logins/:id', requireAdmin, (req, res) => {
+router.put('/logins/:id', requireAdmin, auditar('login.atualizar', 'login'), requirePermissao('criarPerfis'), (req, res) => {
   try {
     const { username, password, ambienteId, perfilId, ativo } = req.body;
     
+    const loginAtual = getLogin(req.params.id);
+    if (loginAtual && !podeAcessarAmbiente(req.auth, loginAtual.ambienteId)) {
+      return negarEscopo(res);
+    }
+    
+    if (ambienteId !== undefined && !podeAcessarAmbiente(req.auth, ambienteId)) {
+      return negarEscopo(res);
+    }
+    
+    const perfil = perfilId ? getPerfil(perfilId) : null;
+    if (perfil && !podeAtribuirPerfil(req.auth, perfil)) {
+      return negarPerfil(res);
+    }
+    
     const resultado = updateLogin(req.params.id, {
       username,
       password,
@@ -1175,7 +2888,7 @@ router.put('/logins/:id', requireAdmin, (req, res) => {
     
     res.json({
       success: true,
-      login: resultado.login
+      login: sanitizarLogin(resultado.login)
     });
   } catch (error) {
     res.status(500).json({
@@ -1186,9 +2899,14 @@ router.put('/logins/:id', requireAdmin, (req, res) => {
   }
 });
 
-router.delete('/logins/:id', requireAdmin, (req, res) => {
+router.delete('/logins/:id', requireAdmin, auditar('login.excluir', 'login'), requirePermissao('criarPerfis'), (req, res) => {
   try {
-    const resultado = deleteLogin(req.params.id);
+    const loginAtual = getLogin(req.params.id);
+    if (loginAtual && !podeAcessarAmbiente(req.auth, loginAtual.ambienteId)) {
+      return negarEscopo(res);
+    }
+    
+    const resultado = deleteLogin(req.params.id, { excluidoPor: autorDaRequisicao(req.auth) });
     
     if (!resultado.success) {
       return res.status(400).json(resultado);
@@ -1196,7 +2914,8 @@ router.delete('/logins/:id', requireAdmin, (req, res) => {
     
     res.json({
       success: true,
-      message: 'Login deletado com sucesso'
+      message: 'Login movido para a lixeira',
+      lixeiraId: resultado.lixeiraId
     });
   } catch (error) {
     res.status(500).json({
@@ -1207,8 +2926,61 @@ router.delete('/logins/:id', requireAdmin, (req, res) => {
   }
 });
 
+// Listar sessões ativas de um login
+router.get('/logins/:id/sessions', requireAdmin, requireUsuarioAdmin, (req, res) => {
+  try {
+    const login = getLogin(req.params.id);
+    
+    if (!login) {
+      return res.status(404).json({
+        success: false,
+        error: 'Login não encontrado'
+      });
+    }
+    
+    res.json({
+      success: true,
+      sessoes: listarSessoes({ tipo: 'login', sujeitoId: login.id })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar sessões do login',
+      message: error.message
+    });
+  }
+});
+
+// Encerrar todas as sessões de um login
+router.delete('/logins/:id/sessions', requireAdmin, auditar('login.encerrar-sessoes', 'login', { estado: null }), requireUsuarioAdmin, (req, res) => {
+  try {
+    const login = getLogin(req.params.id);
+    
+    if (!login) {
+      return res.status(404).json({
+        success: false,
+        error: 'Login não encontrado'
+      });
+    }
+    
+    const resultado = revogarSessoesDoSujeito('login', login.id, 'revogada pelo administrador');
+    
+    res.json({
+      success: true,
+      message: 'Sessões encerradas com sucesso',
+      total: resultado.total
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao encerrar sessões do login',
+      message: error.message
+    });
+  }
+});
+
 // Testar login
-router.post('/logins/:id/testar', requireAdmin, (req, res) => {
+router.post('/logins/:id/testar', requireAdmin, requirePermissao('criarPerfis'), (req, res) => {
   try {
     const { password } = req.body;
     const login = getLogin(req.params.id);
@@ -1220,6 +2992,10 @@ router.post('/logins/:id/testar', requireAdmin, (req, res) => {
       });
     }
     
+    if (!podeAcessarAmbiente(req.auth, login.ambienteId)) {
+      return negarEscopo(res);
+    }
+    
     if (!login.ativo) {
       return res.status(400).json({
         success: false,
@@ -1242,7 +3018,7 @@ router.post('/logins/:id/testar', requireAdmin, (req, res) => {
           perfilId: login.perfilId,
           ativo: login.ativo
         },
-        ambiente: resultado.ambiente,
+        ambiente: sanitizarAmbiente(resultado.ambiente),
         perfil: resultado.perfil
       });
     } else {
@@ -1268,7 +3044,7 @@ router.post('/logins/:id/testar', requireAdmin, (req, res) => {
 const lotesProcessamento = new Map();
 
 // Consulta individual CLT - Endpoint unificado
-router.post('/clt/simular-multiplos', requireAdmin, async (req, res) => {
+router.post('/clt/simular-multiplos', requireAdmin, requirePermissao('clt_consulta'), async (req, res) => {
   try {
     const { cpf, nome, telefone, dataNascimento, bancos } = req.body;
     
@@ -1287,23 +3063,13 @@ router.post('/clt/simular-multiplos', requireAdmin, async (req, res) => {
       });
     }
     
-    // Obter ambiente do token/login
-    const token = req.headers.authorization || req.query.token || req.body.token;
+    // Obter ambiente do login (ou da chave de API) autenticado
     let ambienteId = null;
     let porta = 4000; // Porta padrão para admin (rota-4000.teste)
     
-    if (token && token.startsWith('login-token-')) {
-      const partes = token.replace('login-token-', '').split('-');
-      const loginId = partes.slice(0, -1).join('-');
-      const login = getLogin(loginId);
-      if (login) {
-        ambienteId = login.ambienteId;
-        const ambiente = getAmbiente(login.ambienteId);
-        if (ambiente) {
-          porta = ambiente.porta;
-          ambienteId = ambiente.id; // Usar ID do ambiente para obter credenciais
-        }
-      }
+    if (req.auth.ambiente) {
+      porta = req.auth.ambiente.porta;
+      ambienteId = req.auth.ambiente.id; // Usar ID do ambiente para obter credenciais
     }
     
     // Se não tiver ambiente do login (admin), buscar ambiente 4000
@@ -1364,7 +3130,7 @@ router.post('/clt/simular-multiplos', requireAdmin, async (req, res) => {
 });
 
 // Manter endpoint antigo para compatibilidade (usa mesma lógica)
-router.post('/clt/consulta', requireAdmin, async (req, res) => {
+router.post('/clt/consulta', requireAdmin, requirePermissao('clt_consulta'), async (req, res) => {
   // Reutilizar a mesma lógica do endpoint novo
   const { cpf, nome, telefone, dataNascimento, bancos } = req.body;
   
@@ -1383,23 +3149,13 @@ router.post('/clt/consulta', requireAdmin, async (req, res) => {
     });
   }
   
-  // Obter ambiente do token/login
-  const token = req.headers.authorization || req.query.token || req.body.token;
+  // Obter ambiente do login (ou da chave de API) autenticado
   let ambienteId = null;
   let porta = 4000;
   
-  if (token && token.startsWith('login-token-')) {
-    const partes = token.replace('login-token-', '').split('-');
-    const loginId = partes.slice(0, -1).join('-');
-    const login = getLogin(loginId);
-    if (login) {
-      ambienteId = login.ambienteId;
-      const ambiente = getAmbiente(login.ambienteId);
-      if (ambiente) {
-        porta = ambiente.porta;
-        ambienteId = ambiente.id;
-      }
-    }
+  if (req.auth.ambiente) {
+    porta = req.auth.ambiente.porta;
+    ambienteId = req.auth.ambiente.id;
   }
   
   if (!ambienteId) {
@@ -1442,7 +3198,7 @@ router.post('/clt/consulta', requireAdmin, async (req, res) => {
 });
 
 // Processamento em lote CLT
-router.post('/clt/lote', requireAdmin, async (req, res) => {
+router.post('/clt/lote', requireAdmin, requirePermissao('clt_lote'), async (req, res) => {
   try {
     const { dados, bancos } = req.body;
     
@@ -1460,22 +3216,13 @@ router.post('/clt/lote', requireAdmin, async (req, res) => {
       });
     }
     
-    // Obter ambiente do token/login
-    const token = req.headers.authorization || req.query.token || req.body.token;
+    // Obter ambiente do login (ou da chave de API) autenticado
     let ambienteId = null;
     let porta = 4000; // Porta padrão para admin (rota-4000.teste)
     
-    if (token && token.startsWith('login-token-')) {
-      const partes = token.replace('login-token-', '').split('-');
-      const loginId = partes.slice(0, -1).join('-');
-      const login = getLogin(loginId);
-      if (login) {
-        ambienteId = login.ambienteId;
-        const ambiente = getAmbiente(login.ambienteId);
-        if (ambiente) {
-          porta = ambiente.porta;
-        }
-      }
+    if (req.auth.ambiente) {
+      porta = req.auth.ambiente.porta;
+      ambienteId = req.auth.ambiente.id;
     }
     
     // Se não tiver ambiente do login (admin), buscar ambiente 4000
@@ -1488,13 +3235,6 @@ router.post('/clt/lote', requireAdmin, async (req, res) => {
       } else {
         ambienteId = `temp-${porta}`;
       }
-    } else {
-      // Garantir que temos o ambienteId correto
-      const ambiente = getAmbiente(ambienteId);
-      if (ambiente) {
-        porta = ambiente.porta;
-        ambienteId = ambiente.id;
-      }
     }
     
     // Criar lote
@@ -1538,11 +3278,11 @@ router.post('/clt/lote', requireAdmin, async (req, res) => {
 });
 
 // Status do lote
-router.get('/clt/lote/:id/status', requireAdmin, (req, res) => {
+router.get('/clt/lote/:id/status', requireAdmin, requirePermissao('clt_lote'), (req, res) => {
   try {
     const lote = lotesProcessamento.get(req.params.id);
     
-    if (!lote) {
+    if (!lote || !podeAcessarAmbiente(req.auth, lote.ambienteId)) {
       return res.status(404).json({
         success: false,
         error: 'Lote não encontrado'
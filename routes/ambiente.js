@@ -8,6 +8,7 @@ const router = express.Router();
 
 const {
   authenticateAmbiente,
+  changeAmbientePassword,
   getAmbiente
 } = require('../utils/database');
 
@@ -16,30 +17,197 @@ const {
   atualizarCredenciaisBanco
 } = require('../utils/ambiente-manager');
 
-// Middleware de autenticação de ambiente
-function requireAmbienteAuth(req, res, next) {
+const { verificarToken, extrairToken } = require('../utils/auth-token');
+
+const {
+  iniciarSessao,
+  emitirTokenSessao,
+  obterSessaoAtiva,
+  revogarSessao
+} = require('../utils/sessions');
+
+const {
+  verificarBloqueio,
+  registrarFalha,
+  registrarSucesso
+} = require('../utils/login-throttle');
+
+const { middlewareAuditoria } = require('../utils/audit-log');
+
+// Validade do token de acesso e da sessão (renovável via refresh token), em segundos
+const EXPIRACAO_ACESSO = parseInt(process.env.AMBIENTE_TOKEN_EXPIRES_IN) || 60 * 60; // 1 hora
+const EXPIRACAO_SESSAO = parseInt(process.env.AMBIENTE_SESSAO_EXPIRES_IN) || 7 * 24 * 60 * 60; // 7 dias
+
+// Compatibilidade: aceitar X-Ambiente-Id/X-Username/X-Password em cada requisição
+const HEADER_AUTH_HABILITADO = process.env.AMBIENTE_HEADER_AUTH === 'true';
+
+// Resposta para tentativas de login bloqueadas
+function responderBloqueio(res, bloqueio) {
+  res.set('Retry-After', String(bloqueio.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Muitas tentativas de login. Tente novamente mais tarde.',
+    errorCode: 'TOO_MANY_ATTEMPTS',
+    retryAfter: bloqueio.retryAfter
+  });
+}
+
+/**
+ * Autenticar ambiente aplicando a proteção contra força bruta
+ */
+function autenticarComBloqueio(req, ambienteId, username, password) {
+  const escopo = `ambiente:${ambienteId}`;
+  const bloqueio = verificarBloqueio(escopo, username, req.ip);
+  
+  if (bloqueio.bloqueado) {
+    return { success: false, bloqueio };
+  }
+  
+  const auth = authenticateAmbiente(ambienteId, username, password);
+  
+  if (auth.success) {
+    registrarSucesso(escopo, username);
+  } else {
+    registrarFalha(escopo, username, req.ip);
+  }
+  
+  return auth;
+}
+
+/**
+ * Dados do ambiente disponibilizados às rotas
+ */
+function dadosAmbiente(ambiente) {
+  return {
+    id: ambiente.id,
+    nome: ambiente.nome,
+    porta: ambiente.porta,
+    bancosPermitidos: ambiente.bancosPermitidos,
+    mustChangePassword: !!ambiente.mustChangePassword
+  };
+}
+
+// Rotas liberadas enquanto o ambiente precisa trocar a senha inicial
+const ROTAS_TROCA_SENHA = ['PUT /senha', 'POST /logout'];
+
+/**
+ * Liberar a requisição autenticada (bloqueia tudo exceto a troca de senha se ela for obrigatória)
+ */
+function liberarAmbiente(req, res, next, ambiente, sessaoId) {
+  if (ambiente.mustChangePassword && !ROTAS_TROCA_SENHA.includes(`${req.method} ${req.path}`)) {
+    return res.status(403).json({
+      success: false,
+      error: 'É necessário alterar a senha inicial do ambiente antes de continuar',
+      errorCode: 'PASSWORD_CHANGE_REQUIRED'
+    });
+  }
+  
+  req.ambiente = ambiente;
+  req.sessaoId = sessaoId;
+  next();
+}
+
+/**
+ * Validar token do ambiente e a sessão correspondente
+ * @param {string} tipo - 'ambiente' (acesso) ou 'ambiente-refresh'
+ */
+function validarSessaoAmbiente(token, tipo) {
+  const verificacao = verificarToken(token, [tipo]);
+  
+  if (!verificacao.success) {
+    return verificacao;
+  }
+  
+  const { payload } = verificacao;
+  
+  const sessao = payload.sid ? obterSessaoAtiva(payload.sid) : null;
+  if (!sessao || sessao.tipo !== 'ambiente' || sessao.sujeitoId !== payload.sub) {
+    return { success: false, error: 'Sessão encerrada', errorCode: 'SESSION_REVOKED' };
+  }
+  
+  const ambiente = getAmbiente(payload.sub);
+  if (!ambiente || ambiente.ativo === false) {
+    return { success: false, error: 'Ambiente não encontrado ou inativo', errorCode: 'SESSION_REVOKED' };
+  }
+  
+  return { success: true, sessao, ambiente: dadosAmbiente(ambiente) };
+}
+
+/**
+ * Autenticação legada por headers (apenas com AMBIENTE_HEADER_AUTH=true)
+ */
+function autenticarPorHeaders(req, res, next) {
   const ambienteId = req.headers['x-ambiente-id'];
   const username = req.headers['x-username'];
   const password = req.headers['x-password'];
   
-  if (!ambienteId || !username || !password) {
+  const auth = autenticarComBloqueio(req, ambienteId, username, password);
+  
+  if (auth.bloqueio) {
+    return responderBloqueio(res, auth.bloqueio);
+  }
+  
+  if (!auth.success) {
     return res.status(401).json({
       success: false,
-      error: 'Credenciais de ambiente necessárias'
+      error: auth.error,
+      errorCode: auth.errorCode
     });
   }
   
-  const auth = authenticateAmbiente(ambienteId, username, password);
+  res.set('Deprecation', 'true');
+  liberarAmbiente(req, res, next, auth.ambiente, null);
+}
+
+// Estado dos registros auditados: o próprio ambiente e as credenciais de banco
+const ESTADO_AUDITORIA = {
+  ambiente: id => getAmbiente(id),
+  credenciais: (alvoId, req) => {
+    const resultado = obterCredenciaisBanco(req.ambiente.id, req.params.bancoId);
+    return resultado.success ? resultado.credenciais : null;
+  }
+};
+
+// Middleware do log de auditoria (após requireAmbienteAuth: o autor é o ambiente autenticado)
+function auditar(acao, tipo, id) {
+  return middlewareAuditoria(acao, {
+    obterAtor: req => ({ tipo: 'ambiente', id: req.ambiente.id, username: req.ambiente.nome }),
+    tipo,
+    id,
+    estado: ESTADO_AUDITORIA[tipo],
+    ambiente: req => req.ambiente.id
+  });
+}
+
+// Middleware de autenticação de ambiente (token emitido em /login)
+function requireAmbienteAuth(req, res, next) {
+  const token = extrairToken(req);
   
-  if (!auth.success) {
+  if (!token) {
+    const possuiHeaders = req.headers['x-ambiente-id'] && req.headers['x-username'] && req.headers['x-password'];
+    
+    if (HEADER_AUTH_HABILITADO && possuiHeaders) {
+      return autenticarPorHeaders(req, res, next);
+    }
+    
     return res.status(401).json({
       success: false,
-      error: auth.error
+      error: 'Token de acesso do ambiente necessário',
+      errorCode: 'TOKEN_MISSING'
     });
   }
   
-  req.ambiente = auth.ambiente;
-  next();
+  const resultado = validarSessaoAmbiente(token, 'ambiente');
+  
+  if (!resultado.success) {
+    return res.status(401).json({
+      success: false,
+      error: resultado.error,
+      errorCode: resultado.errorCode
+    });
+  }
+  
+  liberarAmbiente(req, res, next, resultado.ambiente, resultado.sessao.id);
 }
 
 // Login do ambiente
@@ -54,18 +222,34 @@ router.post('/login', (req, res) => {
       });
     }
     
-    const auth = authenticateAmbiente(ambienteId, username, password);
+    const auth = autenticarComBloqueio(req, ambienteId, username, password);
+    
+    if (auth.bloqueio) {
+      return responderBloqueio(res, auth.bloqueio);
+    }
     
     if (auth.success) {
+      const { token, sessao } = iniciarSessao(req, {
+        tipo: 'ambiente',
+        sujeitoId: auth.ambiente.id,
+        username: username
+      }, { expiresIn: EXPIRACAO_ACESSO, duracao: EXPIRACAO_SESSAO });
+      
+      const refreshToken = emitirTokenSessao(sessao.id, { typ: 'ambiente-refresh' }, { expiresIn: EXPIRACAO_SESSAO });
+      
       res.json({
         success: true,
         ambiente: auth.ambiente,
-        token: `ambiente-token-${ambienteId}-${Date.now()}`
+        token: token,
+        expiresIn: EXPIRACAO_ACESSO,
+        refreshToken: refreshToken,
+        sessaoExpiraEm: sessao.expiraEm
       });
     } else {
       res.status(401).json({
         success: false,
-        error: auth.error
+        error: auth.error,
+        errorCode: auth.errorCode
       });
     }
   } catch (error) {
@@ -77,6 +261,108 @@ router.post('/login', (req, res) => {
   }
 });
 
+// Renovar token de acesso a partir do refresh token
+router.post('/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'refreshToken é obrigatório'
+      });
+    }
+    
+    const resultado = validarSessaoAmbiente(refreshToken, 'ambiente-refresh');
+    
+    if (!resultado.success) {
+      return res.status(401).json({
+        success: false,
+        error: resultado.error,
+        errorCode: resultado.errorCode
+      });
+    }
+    
+    const token = emitirTokenSessao(resultado.sessao.id, { typ: 'ambiente' }, { expiresIn: EXPIRACAO_ACESSO });
+    
+    res.json({
+      success: true,
+      token: token,
+      expiresIn: EXPIRACAO_ACESSO
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao renovar token',
+      message: error.message
+    });
+  }
+});
+
+// Logout do ambiente (encerra a sessão do token e do refresh token)
+router.post('/logout', requireAmbienteAuth, (req, res) => {
+  try {
+    if (!req.sessaoId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Autenticação por headers não possui sessão'
+      });
+    }
+    
+    const resultado = revogarSessao(req.sessaoId, 'logout');
+    
+    if (!resultado.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao fazer logout',
+        message: resultado.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Logout realizado com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao fazer logout',
+      message: error.message
+    });
+  }
+});
+
+// Alterar senha do ambiente (obrigatório após senha inicial ou redefinição pelo admin)
+router.put('/senha', requireAmbienteAuth, auditar('ambiente.alterar-senha', 'ambiente', req => req.ambiente.id), (req, res) => {
+  try {
+    const { senhaAtual, novaSenha } = req.body;
+    
+    if (!senhaAtual || !novaSenha) {
+      return res.status(400).json({
+        success: false,
+        error: 'senhaAtual e novaSenha são obrigatórias'
+      });
+    }
+    
+    const resultado = changeAmbientePassword(req.ambiente.id, senhaAtual, novaSenha, req.sessaoId);
+    
+    if (!resultado.success) {
+      return res.status(400).json(resultado);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Senha alterada com sucesso'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao alterar senha',
+      message: error.message
+    });
+  }
+});
+
 // Listar bancos permitidos do ambiente
 router.get('/bancos', requireAmbienteAuth, (req, res) => {
   try {
@@ -133,7 +419,7 @@ router.get('/bancos/:bancoId/credenciais', requireAmbienteAuth, (req, res) => {
 });
 
 // Atualizar credenciais de banco
-router.put('/bancos/:bancoId/credenciais', requireAmbienteAuth, (req, res) => {
+router.put('/bancos/:bancoId/credenciais', requireAmbienteAuth, auditar('credenciais.atualizar', 'credenciais', req => `${req.ambiente.id}:${req.params.bancoId}`), async (req, res) => {
   try {
     const { bancoId } = req.params;
     const { login, senha } = req.body;
@@ -153,7 +439,7 @@ router.put('/bancos/:bancoId/credenciais', requireAmbienteAuth, (req, res) => {
       });
     }
     
-    const resultado = atualizarCredenciaisBanco(req.ambiente.id, bancoId, { login, senha });
+    const resultado = await atualizarCredenciaisBanco(req.ambiente.id, bancoId, { login, senha });
     
     if (!resultado.success) {
       return res.status(400).json(resultado);
@@ -0,0 +1,77 @@
+/**
+ * Migração do Banco JSON para SQLite
+ * Copia data/database.json (ou o arquivo informado) para o banco SQLite configurado
+ *
+ * Uso: npm run db:migrar-sqlite -- [caminho/database.json] [--forcar]
+ * Depois da migração, defina DB_BACKEND=sqlite e reinicie o servidor
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Carregar .env se existir (DB_SQLITE_FILE)
+const envPath = path.join(__dirname, '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+}
+
+const { ARQUIVO_JSON, criarStorage } = require('../utils/storage');
+const { COLECOES } = require('../utils/storage-sqlite');
+
+function obterCaminho(documento, caminho) {
+  return caminho.reduce((atual, chave) => (atual ? atual[chave] : undefined), documento);
+}
+
+function migrar() {
+  const argumentos = process.argv.slice(2);
+  const forcar = argumentos.includes('--forcar');
+  const origem = argumentos.find(a => !a.startsWith('--')) || ARQUIVO_JSON;
+
+  if (!fs.existsSync(origem)) {
+    console.error(`❌ Arquivo de origem não encontrado: ${origem}`);
+    return 1;
+  }
+
+  let documento;
+  try {
+    documento = JSON.parse(fs.readFileSync(origem, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Arquivo de origem inválido (${origem}):`, error.message);
+    return 1;
+  }
+
+  const destino = criarStorage('sqlite');
+
+  if (destino.existe() && !forcar) {
+    console.error(`❌ O banco SQLite já possui dados (${destino.local}). Use --forcar para sobrescrever.`);
+    return 1;
+  }
+
+  documento.revisao = documento.revisao || 0;
+  destino.comTrava(() => destino.gravar(documento));
+
+  // Conferir o conteúdo gravado
+  const gravado = destino.ler();
+  let divergencias = 0;
+
+  console.log(`📦 ${origem} → ${destino.local}`);
+  COLECOES.forEach(({ caminho }) => {
+    const esperado = obterCaminho(documento, caminho) || [];
+    const obtido = obterCaminho(gravado, caminho) || [];
+    const iguais = JSON.stringify(esperado) === JSON.stringify(obtido);
+    if (!iguais) {
+      divergencias++;
+    }
+    console.log(`   ${iguais ? '✅' : '❌'} ${caminho.join('.')}: ${obtido.length} registro(s)`);
+  });
+
+  if (divergencias > 0) {
+    console.error('❌ O conteúdo gravado no SQLite difere da origem');
+    return 1;
+  }
+
+  console.log(`✅ Migração concluída (revisão ${gravado.revisao}). Defina DB_BACKEND=sqlite para usar o novo banco.`);
+  return 0;
+}
+
+process.exitCode = migrar();
@@ -16,6 +16,22 @@ if (fs.existsSync(envPath)) {
   require('dotenv').config({ path: envPath });
 }
 
+// Atualizar o banco de dados para a versão atual do schema antes de atender requisições
+const { executarMigracoes } = require('./utils/migrations');
+try {
+  const migracao = executarMigracoes();
+  if (!migracao.success) {
+    console.error(`❌ ${migracao.error}`);
+    process.exit(1);
+  }
+  if (migracao.aplicadas.length > 0) {
+    console.log(`✅ Banco de dados migrado de ${migracao.versaoAnterior} para ${migracao.versao} (backup: ${migracao.backup})`);
+  }
+} catch (error) {
+  console.error('❌ Erro ao migrar banco de dados:', error.message);
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 7000;
 const HTTPS_PORT = process.env.HTTPS_PORT || 7443;
@@ -53,15 +69,60 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Ambiente-Id', 'X-Username', 'X-Password']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Ambiente-Id', 'X-Username', 'X-Password']
 }));
 
-app.use(express.json());
+// Limite ampliado para pacotes de importação de configuração
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Servir arquivos estáticos
 app.use(express.static(path.join(__dirname, 'public')));
 
+const { statusBanco, emRecuperacao, expurgarLixeira } = require('./utils/database');
+
+// Excluir definitivamente os itens da lixeira com retenção expirada (na inicialização e a cada hora)
+function expurgarLixeiraExpirada() {
+  if (emRecuperacao()) {
+    return;
+  }
+  
+  try {
+    const resultado = expurgarLixeira();
+    if (resultado.success && resultado.removidos.length > 0) {
+      console.log(`🗑️ ${resultado.removidos.length} item(ns) expirado(s) removido(s) da lixeira`);
+    }
+  } catch (error) {
+    console.error('❌ Erro ao expurgar lixeira:', error.message);
+  }
+}
+expurgarLixeiraExpirada();
+setInterval(expurgarLixeiraExpirada, 60 * 60 * 1000).unref();
+
+// Banco em modo de recuperação: apenas leituras, autenticação e rotas de recuperação
+const ROTAS_PERMITIDAS_EM_RECUPERACAO = [
+  /^\/api\/admin\/login(\/|$)/,
+  /^\/api\/admin\/logout$/,
+  /^\/api\/admin\/validar-token$/,
+  /^\/api\/admin\/recuperacao(\/|$)/,
+  /^\/api\/ambiente\/(login|refresh|logout)$/
+];
+app.use('/api', (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !emRecuperacao()) {
+    return next();
+  }
+  
+  if (ROTAS_PERMITIDAS_EM_RECUPERACAO.some(rota => rota.test(req.originalUrl.split('?')[0]))) {
+    return next();
+  }
+  
+  res.status(503).json({
+    success: false,
+    error: 'Banco de dados em modo de recuperação: alterações estão bloqueadas até a restauração',
+    errorCode: 'DB_RECOVERY_MODE'
+  });
+});
+
 // Rotas
 const adminRoutes = require('./routes/admin');
 const ambienteRoutes = require('./routes/ambiente');
@@ -82,11 +143,14 @@ app.get('/', (req, res) => {
 
 // Health check
 app.get('/health', (req, res) => {
+  const banco = statusBanco();
   res.json({
-    status: 'ok',
+    status: banco.status === 'ok' ? 'ok' : 'degraded',
     service: 'Sistema de Administração',
     timestamp: new Date().toISOString(),
-    port: PORT
+    port: PORT,
+    // Detalhes da falha ficam em GET /api/admin/recuperacao (somente admins)
+    database: { status: banco.status, desde: banco.desde }
   });
 });
 
@@ -10,6 +10,28 @@ const { getAmbiente } = require('./database');
 const BASE_PATH = '/opt/lunas-digital';
 const AMBIENTE_TESTE = path.join(BASE_PATH, 'rota-4000.teste');
 
+// Variáveis de credenciais por banco no .env (baseado nos .env da rota-4000)
+const MAPEAMENTO_CREDENCIAIS = {
+  presencabank: {
+    login: 'PRECENÇABANK_LOGIN',
+    senha: 'PRECENÇABANK_SENHA',
+    usr: 'PRECENÇABANK_USR', // Alternativa
+    pass: 'PRECENÇABANK_PASS' // Alternativa
+  },
+  v8: {
+    login: 'V8_USERNAME',
+    senha: 'V8_PASSWORD',
+    usr: 'V8_USR', // Alternativa
+    pass: 'V8_PASS' // Alternativa
+  },
+  hubcredito: {
+    login: 'HUBCREDITO_USR',
+    senha: 'HUBCREDITO_PASS',
+    usr: 'HUBCREDITO_USR',
+    pass: 'HUBCREDITO_PASS'
+  }
+};
+
 /**
  * Detectar ambientes existentes nas pastas rota-*.producao
  */
@@ -129,23 +151,30 @@ function detectarBancosDisponiveis() {
 }
 
 /**
- * Criar estrutura de ambiente
+ * Caminho da pasta de um ambiente
  */
-function criarEstruturaAmbiente(porta, bancosPermitidos) {
-  const ambientePath = path.join(BASE_PATH, `rota-${porta}.producao`);
-  
-  // Criar diretório base
-  if (!fs.existsSync(ambientePath)) {
-    fs.mkdirSync(ambientePath, { recursive: true });
-  }
-  
-  // Criar .env base (sem credenciais, apenas porta)
-  const envPath = path.join(ambientePath, '.env');
+function caminhoAmbiente(porta) {
+  return path.join(BASE_PATH, `rota-${porta}.producao`);
+}
+
+/**
+ * Criar .env base do ambiente (sem credenciais, apenas porta)
+ */
+function criarEnvAmbiente(porta) {
+  const envPath = path.join(caminhoAmbiente(porta), '.env');
   if (!fs.existsSync(envPath)) {
     fs.writeFileSync(envPath, `# Configuração do Ambiente ${porta}\nPORT=${porta}\n\n`);
   }
+  return envPath;
+}
+
+/**
+ * Copiar os bancos permitidos da rota-4000 para o ambiente
+ * @param {Array} copiados - Recebe cada destino antes da cópia (permite desfazer cópias parciais)
+ */
+function copiarBancosAmbiente(porta, bancosPermitidos, copiados = []) {
+  const ambientePath = caminhoAmbiente(porta);
   
-  // Copiar bancos permitidos
   bancosPermitidos.forEach(bancoId => {
     // Mapear ID do banco para nome da pasta
     const mapeamentoBancos = {
@@ -159,21 +188,50 @@ function criarEstruturaAmbiente(porta, bancosPermitidos) {
     const destinoPath = path.join(ambientePath, nomePastaBanco);
     
     if (fs.existsSync(bancoPath) && !fs.existsSync(destinoPath)) {
+      copiados.push(destinoPath);
       copiarDiretorio(bancoPath, destinoPath, bancoId);
     }
   });
   
-  // Copiar arquivos compartilhados
+  return copiados;
+}
+
+/**
+ * Copiar arquivos compartilhados da rota-4000 para o ambiente
+ * @param {Array} copiados - Recebe cada destino antes da cópia
+ */
+function copiarCompartilhadosAmbiente(porta, copiados = []) {
+  const ambientePath = caminhoAmbiente(porta);
   const compartilhados = ['shared', 'cache-centralizado'];
+  
   compartilhados.forEach(item => {
     const origem = path.join(AMBIENTE_TESTE, item);
     const destino = path.join(ambientePath, item);
     
     if (fs.existsSync(origem) && !fs.existsSync(destino)) {
+      copiados.push(destino);
       copiarDiretorio(origem, destino);
     }
   });
   
+  return copiados;
+}
+
+/**
+ * Criar estrutura de ambiente
+ */
+function criarEstruturaAmbiente(porta, bancosPermitidos) {
+  const ambientePath = caminhoAmbiente(porta);
+  
+  // Criar diretório base
+  if (!fs.existsSync(ambientePath)) {
+    fs.mkdirSync(ambientePath, { recursive: true });
+  }
+  
+  criarEnvAmbiente(porta);
+  copiarBancosAmbiente(porta, bancosPermitidos);
+  copiarCompartilhadosAmbiente(porta);
+  
   return { success: true, path: ambientePath };
 }
 
@@ -459,29 +517,7 @@ async function atualizarCredenciaisBanco(ambienteId, bancoId, credenciais, valid
     envContent = fs.readFileSync(envPath, 'utf8');
   }
   
-  // Mapear credenciais por banco (baseado nos .env da rota-4000)
-  const mapeamentoCredenciais = {
-    presencabank: {
-      login: 'PRECENÇABANK_LOGIN',
-      senha: 'PRECENÇABANK_SENHA',
-      usr: 'PRECENÇABANK_USR', // Alternativa
-      pass: 'PRECENÇABANK_PASS' // Alternativa
-    },
-    v8: {
-      login: 'V8_USERNAME',
-      senha: 'V8_PASSWORD',
-      usr: 'V8_USR', // Alternativa
-      pass: 'V8_PASS' // Alternativa
-    },
-    hubcredito: {
-      login: 'HUBCREDITO_USR',
-      senha: 'HUBCREDITO_PASS',
-      usr: 'HUBCREDITO_USR',
-      pass: 'HUBCREDITO_PASS'
-    }
-  };
-  
-  const campos = mapeamentoCredenciais[bancoId];
+  const campos = MAPEAMENTO_CREDENCIAIS[bancoId];
   if (!campos) {
     return { success: false, error: `Banco ${bancoId} não possui mapeamento de credenciais` };
   }
@@ -548,28 +584,7 @@ function obterCredenciaisBanco(ambienteId, bancoId) {
   const envContent = fs.readFileSync(envPath, 'utf8');
   const linhas = envContent.split('\n');
   
-  const mapeamentoCredenciais = {
-    presencabank: {
-      login: 'PRECENÇABANK_LOGIN',
-      senha: 'PRECENÇABANK_SENHA',
-      usr: 'PRECENÇABANK_USR',
-      pass: 'PRECENÇABANK_PASS'
-    },
-    v8: {
-      login: 'V8_USERNAME',
-      senha: 'V8_PASSWORD',
-      usr: 'V8_USR',
-      pass: 'V8_PASS'
-    },
-    hubcredito: {
-      login: 'HUBCREDITO_USR',
-      senha: 'HUBCREDITO_PASS',
-      usr: 'HUBCREDITO_USR',
-      pass: 'HUBCREDITO_PASS'
-    }
-  };
-  
-  const campos = mapeamentoCredenciais[bancoId];
+  const campos = MAPEAMENTO_CREDENCIAIS[bancoId];
   if (!campos) {
     return { success: false, error: `Banco ${bancoId} não possui mapeamento` };
   }
@@ -591,6 +606,47 @@ function obterCredenciaisBanco(ambienteId, bancoId) {
   return { success: true, credenciais };
 }
 
+/**
+ * Copiar o .env de um ambiente para a pasta de outra porta
+ * Sem incluirCredenciais, as variáveis de login/senha dos bancos são mantidas com valor vazio
+ */
+function copiarEnvAmbiente(ambienteOrigemId, portaDestino, { incluirCredenciais = false } = {}) {
+  const origem = getAmbiente(ambienteOrigemId);
+  if (!origem) {
+    return { success: false, error: 'Ambiente de origem não encontrado' };
+  }
+  
+  const envOrigem = path.join(BASE_PATH, origem.path, '.env');
+  if (!fs.existsSync(envOrigem)) {
+    return { success: false, error: 'Arquivo .env do ambiente de origem não encontrado' };
+  }
+  
+  const camposCredenciais = new Set();
+  Object.values(MAPEAMENTO_CREDENCIAIS).forEach(campos => {
+    Object.values(campos).forEach(campo => camposCredenciais.add(campo));
+  });
+  
+  const linhas = fs.readFileSync(envOrigem, 'utf8').split('\n').map(linha => {
+    const campo = linha.split('=')[0].trim();
+  
+    if (campo === 'PORT') {
+      return `PORT=${portaDestino}`;
+    }
+    if (linha.startsWith(`# Configuração do Ambiente ${origem.porta}`)) {
+      return `# Configuração do Ambiente ${portaDestino}`;
+    }
+    if (!incluirCredenciais && camposCredenciais.has(campo)) {
+      return `${campo}=`;
+    }
+    return linha;
+  });
+  
+  const envDestino = path.join(caminhoAmbiente(portaDestino), '.env');
+  fs.writeFileSync(envDestino, linhas.join('\n'), 'utf8');
+  
+  return { success: true, path: envDestino, credenciaisCopiadas: !!incluirCredenciais };
+}
+
 /**
  * Obter credenciais de um banco em todos os ambientes
  */
@@ -637,14 +693,20 @@ async function atualizarCredenciaisBancoAmbiente(ambienteId, bancoId, credenciai
 }
 
 module.exports = {
+  BASE_PATH,
   detectarBancosDisponiveis,
   detectarAmbientesExistentes,
+  caminhoAmbiente,
+  criarEnvAmbiente,
+  copiarBancosAmbiente,
+  copiarCompartilhadosAmbiente,
   criarEstruturaAmbiente,
   sincronizarBanco,
   sincronizarAmbiente,
   sincronizarTodosAmbientes,
   atualizarCredenciaisBanco,
   obterCredenciaisBanco,
+  copiarEnvAmbiente,
   obterCredenciaisBancoTodosAmbientes,
   atualizarCredenciaisBancoAmbiente
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Chaves de API
+ * Credenciais para clientes automatizados (scripts de sincronização, discador, etc.)
+ */
+
+const crypto = require('crypto');
+const { getDatabase, updateDatabase } = require('./database');
+const { PERMISSOES } = require('./permissoes');
+
+// Intervalo mínimo entre gravações do último uso de uma chave
+const INTERVALO_ULTIMO_USO_MS = 60 * 1000;
+
+function hashChave(segredo) {
+  return crypto.createHash('sha256').update(segredo).digest('hex');
+}
+
+/**
+ * Gerar chave no formato sa_{prefixo}_{segredo}
+ * O prefixo identifica a chave; apenas o hash do segredo é armazenado
+ */
+function gerarChave() {
+  const prefixo = crypto.randomBytes(4).toString('hex');
+  const segredo = crypto.randomBytes(24).toString('base64url');
+  return { prefixo, segredo, chave: `sa_${prefixo}_${segredo}` };
+}
+
+/**
+ * Dados públicos da chave
+ */
+function sanitizarApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    label: apiKey.label,
+    prefixo: apiKey.prefixo,
+    permissoes: apiKey.permissoes,
+    ambienteId: apiKey.ambienteId || null,
+    ativo: apiKey.ativo,
+    criadoPor: apiKey.criadoPor || null,
+    criadoEm: apiKey.criadoEm,
+    rotacionadoEm: apiKey.rotacionadoEm || null,
+    revogadoEm: apiKey.revogadoEm || null,
+    ultimoUsoEm: apiKey.ultimoUsoEm || null
+  };
+}
+
+/**
+ * Listar chaves de API
+ */
+function listApiKeys() {
+  const db = getDatabase();
+  return (db.apiKeys || []).map(sanitizarApiKey);
+}
+
+/**
+ * Criar chave de API (o valor da chave é retornado apenas nesta chamada)
+ */
+function createApiKey({ label, permissoes = [], ambienteId = null, criadoPor = null }) {
+  const labelNormalizado = label ? String(label).trim() : '';
+  if (!labelNormalizado) {
+    return { success: false, error: 'Label não pode ser vazio' };
+  }
+
+  if (!Array.isArray(permissoes) || permissoes.length === 0) {
+    return { success: false, error: 'Informe ao menos uma permissão' };
+  }
+
+  const invalidas = permissoes.filter(p => !PERMISSOES.includes(p));
+  if (invalidas.length > 0) {
+    return { success: false, error: `Permissões inválidas: ${invalidas.join(', ')}` };
+  }
+
+  if (ambienteId && !getDatabase().ambientes.find(a => a.id === ambienteId)) {
+    return { success: false, error: 'Ambiente não encontrado' };
+  }
+
+  const { prefixo, segredo, chave } = gerarChave();
+  const novaApiKey = {
+    id: `apikey-${Date.now()}`,
+    label: labelNormalizado,
+    prefixo: prefixo,
+    hash: hashChave(segredo),
+    permissoes: permissoes,
+    ambienteId: ambienteId || null,
+    ativo: true,
+    criadoPor: criadoPor,
+    criadoEm: new Date().toISOString(),
+    ultimoUsoEm: null
+  };
+
+  updateDatabase(db => {
+    if (!db.apiKeys) {
+      db.apiKeys = [];
+    }
+    db.apiKeys.push(novaApiKey);
+    return db;
+  });
+
+  return { success: true, apiKey: sanitizarApiKey(novaApiKey), chave };
+}
+
+/**
+ * Rotacionar chave de API (gera novo valor e invalida o anterior)
+ */
+function rotacionarApiKey(apiKeyId) {
+  let resultado = { success: false, error: 'Chave de API não encontrada' };
+
+  updateDatabase(db => {
+    const apiKey = (db.apiKeys || []).find(k => k.id === apiKeyId);
+    if (!apiKey) {
+      return db;
+    }
+    if (!apiKey.ativo) {
+      resultado = { success: false, error: 'Chave de API revogada não pode ser rotacionada' };
+      return db;
+    }
+
+    const { prefixo, segredo, chave } = gerarChave();
+    apiKey.prefixo = prefixo;
+    apiKey.hash = hashChave(segredo);
+    apiKey.rotacionadoEm = new Date().toISOString();
+
+    resultado = { success: true, apiKey: sanitizarApiKey(apiKey), chave };
+    return db;
+  });
+
+  return resultado;
+}
+
+/**
+ * Revogar chave de API
+ */
+function revogarApiKey(apiKeyId) {
+  let resultado = { success: false, error: 'Chave de API não encontrada' };
+
+  updateDatabase(db => {
+    const apiKey = (db.apiKeys || []).find(k => k.id === apiKeyId);
+    if (apiKey) {
+      apiKey.ativo = false;
+      apiKey.revogadoEm = apiKey.revogadoEm || new Date().toISOString();
+      resultado = { success: true, apiKey: sanitizarApiKey(apiKey) };
+    }
+    return db;
+  });
+
+  return resultado;
+}
+
+/**
+ * Autenticar chave de API recebida no header
+ */
+function autenticarApiKey(chave) {
+  const match = typeof chave === 'string' ? chave.match(/^sa_([a-f0-9]{8})_(.+)$/) : null;
+  if (!match) {
+    return { success: false, error: 'Chave de API inválida', errorCode: 'API_KEY_INVALID' };
+  }
+
+  const [, prefixo, segredo] = match;
+  const apiKey = (getDatabase().apiKeys || []).find(k => k.prefixo === prefixo);
+
+  const hashRecebido = Buffer.from(hashChave(segredo), 'hex');
+  if (!apiKey || !crypto.timingSafeEqual(hashRecebido, Buffer.from(apiKey.hash, 'hex'))) {
+    return { success: false, error: 'Chave de API inválida', errorCode: 'API_KEY_INVALID' };
+  }
+
+  if (!apiKey.ativo) {
+    return { success: false, error: 'Chave de API revogada', errorCode: 'API_KEY_REVOKED' };
+  }
+
+  const agora = Date.now();
+  if (!apiKey.ultimoUsoEm || agora - new Date(apiKey.ultimoUsoEm).getTime() > INTERVALO_ULTIMO_USO_MS) {
+    // Registro de uso é acessório: falha ao gravar (modo de recuperação, trava ocupada) não recusa a chave
+    try {
+      updateDatabase(db => {
+        const registro = (db.apiKeys || []).find(k => k.id === apiKey.id);
+        if (registro) {
+          registro.ultimoUsoEm = new Date(agora).toISOString();
+        }
+        return db;
+      }, { snapshot: false });
+    } catch (error) {
+      console.error('⚠️ Erro ao registrar último uso da chave de API:', error.message);
+    }
+  }
+
+  return { success: true, apiKey: sanitizarApiKey(apiKey) };
+}
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  rotacionarApiKey,
+  revogarApiKey,
+  autenticarApiKey
+};
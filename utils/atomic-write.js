@@ -0,0 +1,164 @@
+/**
+ * Escrita Atômica de Arquivos
+ * Grava via arquivo temporário + fsync + rename e serializa escritas com uma trava em arquivo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Trava abandonada (processo encerrado no meio da escrita) é descartada após este tempo
+const TRAVA_EXPIRACAO_MS = 30 * 1000;
+// A espera bloqueia o event loop (as operações do banco são síncronas): só ocorre quando outro
+// processo está no meio de uma leitura + gravação, que leva milissegundos, então o limite é curto
+const TRAVA_TIMEOUT_MS = 1000;
+const TRAVA_INTERVALO_MS = 5;
+
+// Travas mantidas por este processo: caminho -> profundidade (permite reentrância)
+const travasAtivas = new Map();
+
+/**
+ * Pausar a execução de forma síncrona (bloqueia todas as requisições do processo)
+ */
+function aguardar(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Gravar arquivo de forma atômica: o conteúdo anterior só é substituído após a escrita completa
+ */
+function escreverArquivoAtomico(arquivo, conteudo) {
+  const diretorio = path.dirname(arquivo);
+  if (!fs.existsSync(diretorio)) {
+    fs.mkdirSync(diretorio, { recursive: true });
+  }
+
+  const temporario = `${arquivo}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+  // Manter as permissões do arquivo existente
+  let modo = 0o600;
+  try {
+    modo = fs.statSync(arquivo).mode & 0o777;
+  } catch (error) {
+    // Arquivo ainda não existe
+  }
+
+  try {
+    const fd = fs.openSync(temporario, 'w', modo);
+    try {
+      fs.writeSync(fd, conteudo);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(temporario, arquivo);
+  } catch (error) {
+    try {
+      fs.unlinkSync(temporario);
+    } catch (e) {
+      // Temporário pode não ter sido criado
+    }
+    throw error;
+  }
+
+  // Persistir a entrada do diretório (nem todos os sistemas suportam fsync em diretórios)
+  try {
+    const fdDiretorio = fs.openSync(diretorio, 'r');
+    try {
+      fs.fsyncSync(fdDiretorio);
+    } finally {
+      fs.closeSync(fdDiretorio);
+    }
+  } catch (error) {
+    // Ignorar: o rename já foi concluído
+  }
+}
+
+/**
+ * Verificar se o processo que criou a trava já foi encerrado (mesma máquina)
+ */
+function donoEncerrado(arquivoTrava) {
+  const pid = parseInt(fs.readFileSync(arquivoTrava, 'utf8'), 10);
+  if (!pid || pid === process.pid) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Adquirir a trava em arquivo (exclusiva entre processos)
+ */
+function adquirirTrava(arquivoTrava) {
+  const limite = Date.now() + TRAVA_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const fd = fs.openSync(arquivoTrava, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Remover trava abandonada (processo dono encerrado ou trava antiga demais)
+    try {
+      const { mtimeMs } = fs.statSync(arquivoTrava);
+      if (donoEncerrado(arquivoTrava) || Date.now() - mtimeMs > TRAVA_EXPIRACAO_MS) {
+        fs.unlinkSync(arquivoTrava);
+        continue;
+      }
+    } catch (error) {
+      continue; // Trava liberada entre as verificações
+    }
+
+    if (Date.now() >= limite) {
+      throw new Error(`Tempo esgotado aguardando a trava ${path.basename(arquivoTrava)}`);
+    }
+
+    aguardar(TRAVA_INTERVALO_MS);
+  }
+}
+
+/**
+ * Executar função com a trava do arquivo
+ * Chamadas aninhadas no mesmo processo reutilizam a trava já adquirida
+ */
+function comTrava(arquivo, fn) {
+  const arquivoTrava = `${arquivo}.lock`;
+  const profundidade = travasAtivas.get(arquivoTrava) || 0;
+
+  if (profundidade === 0) {
+    adquirirTrava(arquivoTrava);
+  }
+  travasAtivas.set(arquivoTrava, profundidade + 1);
+
+  try {
+    return fn();
+  } finally {
+    if (profundidade === 0) {
+      travasAtivas.delete(arquivoTrava);
+      try {
+        fs.unlinkSync(arquivoTrava);
+      } catch (error) {
+        console.error('❌ Erro ao liberar trava:', error.message);
+      }
+    } else {
+      travasAtivas.set(arquivoTrava, profundidade);
+    }
+  }
+}
+
+module.exports = {
+  escreverArquivoAtomico,
+  comTrava
+};
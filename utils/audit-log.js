@@ -0,0 +1,258 @@
+/**
+ * Log de Auditoria
+ * Registro somente de inclusão (uma linha JSON por evento) das operações administrativas:
+ * autor, ação, alvo, diferenças antes/depois (com segredos ocultos), IP e data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const AUDITORIA_FILE = path.join(DATA_DIR, 'auditoria.jsonl');
+
+// Campos com segredos: o valor é substituído (booleanos como mustChangePassword são mantidos)
+const PADRAO_SEGREDO = /^(senha|pass|password|novaSenha|senhaAtual|chave)$|hash|history|token|secret|segredo|twoFactor|codigos/i;
+const VALOR_OCULTO = '[oculto]';
+
+const LIMITE_PADRAO = 100;
+const LIMITE_MAXIMO = 1000;
+
+const COLUNAS_CSV = [
+  ['data', e => e.data],
+  ['acao', e => e.acao],
+  ['atorTipo', e => e.ator && e.ator.tipo],
+  ['atorId', e => e.ator && e.ator.id],
+  ['atorUsername', e => e.ator && e.ator.username],
+  ['ip', e => e.ip],
+  ['metodo', e => e.metodo],
+  ['rota', e => e.rota],
+  ['status', e => e.status],
+  ['sucesso', e => e.sucesso],
+  ['alvoTipo', e => e.alvo && e.alvo.tipo],
+  ['alvoId', e => e.alvo && e.alvo.id],
+  ['ambienteId', e => e.ambienteId],
+  ['alteracoes', e => e.alteracoes],
+  ['detalhes', e => e.detalhes]
+];
+
+/**
+ * Ocultar valores de campos com segredos (recursivo)
+ */
+function ocultarSegredos(valor, campo = '') {
+  if (campo && PADRAO_SEGREDO.test(campo) && valor !== null && valor !== undefined && typeof valor !== 'boolean') {
+    return VALOR_OCULTO;
+  }
+  if (Array.isArray(valor)) {
+    return valor.map(item => ocultarSegredos(item));
+  }
+  if (valor && typeof valor === 'object') {
+    const copia = {};
+    Object.keys(valor).forEach(chave => {
+      copia[chave] = ocultarSegredos(valor[chave], chave);
+    });
+    return copia;
+  }
+  return valor;
+}
+
+/**
+ * Campos alterados entre dois estados do registro
+ * @returns {Object|null} { campo: { antes, depois } } ou null se nada mudou
+ */
+function diferencas(antes, depois) {
+  const anterior = antes || {};
+  const atual = depois || {};
+  const alteracoes = {};
+
+  [...new Set([...Object.keys(anterior), ...Object.keys(atual)])].forEach(campo => {
+    if (JSON.stringify(anterior[campo]) !== JSON.stringify(atual[campo])) {
+      alteracoes[campo] = {
+        antes: ocultarSegredos(anterior[campo], campo),
+        depois: ocultarSegredos(atual[campo], campo)
+      };
+    }
+  });
+
+  return Object.keys(alteracoes).length > 0 ? alteracoes : null;
+}
+
+/**
+ * Acrescentar evento ao log (o arquivo nunca é reescrito)
+ */
+function registrarEvento(evento) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  const registro = {
+    id: `audit-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    data: new Date().toISOString(),
+    ...evento,
+    detalhes: evento.detalhes ? ocultarSegredos(evento.detalhes) : null
+  };
+
+  fs.appendFileSync(AUDITORIA_FILE, JSON.stringify(registro) + '\n', { encoding: 'utf8', mode: 0o600 });
+  return registro;
+}
+
+/**
+ * Ler todos os eventos (linhas ilegíveis são ignoradas)
+ */
+function lerEventos() {
+  if (!fs.existsSync(AUDITORIA_FILE)) {
+    return [];
+  }
+
+  return fs.readFileSync(AUDITORIA_FILE, 'utf8')
+    .split('\n')
+    .filter(linha => linha.trim())
+    .map(linha => {
+      try {
+        return JSON.parse(linha);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Datas sem horário no filtro "ate" incluem o dia inteiro
+function limiteData(valor, fimDoDia = false) {
+  if (!valor) {
+    return null;
+  }
+  const texto = String(valor);
+  const data = new Date(fimDoDia && !texto.includes('T') ? `${texto}T23:59:59.999Z` : texto);
+  return Number.isNaN(data.getTime()) ? undefined : data.toISOString();
+}
+
+/**
+ * Consultar eventos (mais recente primeiro)
+ * @param {Object} filtros - { ator, ambienteId, acao, de, ate, limite, pagina }
+ *   ator: id ou username; acao: nome exato ou prefixo (ex: "ambiente")
+ */
+function consultarEventos(filtros = {}) {
+  const de = limiteData(filtros.de);
+  const ate = limiteData(filtros.ate, true);
+
+  if (de === undefined || ate === undefined) {
+    return { success: false, error: 'Datas devem estar no formato ISO (ex: 2024-01-31)', errorCode: 'INVALID_DATE' };
+  }
+
+  const ator = filtros.ator ? String(filtros.ator).toLowerCase() : null;
+
+  const eventos = lerEventos().filter(evento => {
+    if (ator && !(evento.ator && [evento.ator.id, evento.ator.username].some(v => v && String(v).toLowerCase() === ator))) {
+      return false;
+    }
+    if (filtros.ambienteId && evento.ambienteId !== filtros.ambienteId) {
+      return false;
+    }
+    if (filtros.acao && evento.acao !== filtros.acao && !String(evento.acao).startsWith(`${filtros.acao}.`)) {
+      return false;
+    }
+    if (de && evento.data < de) {
+      return false;
+    }
+    if (ate && evento.data > ate) {
+      return false;
+    }
+    return true;
+  }).reverse();
+
+  const limite = Math.min(parseInt(filtros.limite) || LIMITE_PADRAO, LIMITE_MAXIMO);
+  const pagina = Math.max(parseInt(filtros.pagina) || 1, 1);
+
+  return {
+    success: true,
+    total: eventos.length,
+    pagina,
+    limite,
+    eventos: filtros.todos ? eventos : eventos.slice((pagina - 1) * limite, pagina * limite)
+  };
+}
+
+function valorCsv(valor) {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+  let texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+  // Evitar que planilhas interpretem o conteúdo como fórmula
+  if (/^[=+\-@]/.test(texto)) {
+    texto = `'${texto}`;
+  }
+  return /[",\n\r;]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Converter eventos para CSV
+ */
+function eventosParaCsv(eventos) {
+  const linhas = [COLUNAS_CSV.map(([nome]) => nome).join(',')];
+  eventos.forEach(evento => {
+    linhas.push(COLUNAS_CSV.map(([, valor]) => valorCsv(valor(evento))).join(','));
+  });
+  return linhas.join('\n') + '\n';
+}
+
+function capturarEstado(estado, id, req) {
+  const registro = estado(id, req);
+  return registro ? structuredClone(registro) : null;
+}
+
+/**
+ * Middleware que registra a operação ao fim da resposta
+ * O handler pode completar o evento via req.auditoria (alvoId de registros criados, ambienteId, detalhes)
+ * @param {string} acao - Nome da ação (ex: 'ambiente.criar')
+ * @param {Object} opcoes - { obterAtor(req), tipo, id(req), estado(id, req), ambiente(req) }
+ */
+function middlewareAuditoria(acao, { obterAtor, tipo = null, id = req => req.params.id, estado = null, ambiente = null }) {
+  return (req, res, next) => {
+    const alvoId = tipo ? id(req) || null : null;
+    const antes = estado && alvoId ? capturarEstado(estado, alvoId, req) : null;
+
+    req.auditoria = {
+      alvoId,
+      ambienteId: ambiente ? ambiente(req) : null,
+      detalhes: null
+    };
+
+    res.on('finish', () => {
+      try {
+        const { alvoId: alvoFinal, ambienteId, detalhes } = req.auditoria;
+        const sucesso = res.statusCode < 400;
+        const depois = estado && alvoFinal && sucesso ? capturarEstado(estado, alvoFinal, req) : null;
+        const registro = depois || antes;
+
+        registrarEvento({
+          acao,
+          ator: obterAtor(req),
+          ip: req.ip || null,
+          metodo: req.method,
+          rota: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          sucesso,
+          alvo: tipo ? { tipo, id: alvoFinal } : null,
+          ambienteId: ambienteId || (tipo === 'ambiente' ? alvoFinal : (registro && registro.ambienteId) || null),
+          alteracoes: sucesso && estado ? diferencas(antes, depois) : null,
+          detalhes
+        });
+      } catch (error) {
+        console.error('❌ Erro ao registrar auditoria:', error);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  AUDITORIA_FILE,
+  ocultarSegredos,
+  diferencas,
+  registrarEvento,
+  consultarEventos,
+  eventosParaCsv,
+  middlewareAuditoria
+};
@@ -0,0 +1,153 @@
+/**
+ * Tokens de Autenticação
+ * Emite e valida tokens assinados (formato JWT, HMAC-SHA256)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const SECRET_FILE = path.join(DATA_DIR, 'token-secret');
+
+const ISSUER = 'sistema-admin';
+const EXPIRACAO_PADRAO = parseInt(process.env.AUTH_TOKEN_EXPIRES_IN) || 24 * 60 * 60; // 24 horas (segundos)
+
+let secretCache = null;
+
+/**
+ * Obter segredo do servidor
+ * Usa AUTH_TOKEN_SECRET se definido, senão gera um segredo e persiste em data/token-secret
+ */
+function obterSegredo() {
+  if (secretCache) {
+    return secretCache;
+  }
+
+  if (process.env.AUTH_TOKEN_SECRET) {
+    secretCache = process.env.AUTH_TOKEN_SECRET;
+    return secretCache;
+  }
+
+  if (fs.existsSync(SECRET_FILE)) {
+    secretCache = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+  }
+
+  if (!secretCache) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    secretCache = crypto.randomBytes(64).toString('hex');
+    fs.writeFileSync(SECRET_FILE, secretCache, { encoding: 'utf8', mode: 0o600 });
+  }
+
+  return secretCache;
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function assinar(conteudo) {
+  return base64url(crypto.createHmac('sha256', obterSegredo()).update(conteudo).digest());
+}
+
+/**
+ * Gerar token assinado
+ * @param {Object} dados - { sub, typ, ...claims adicionais }
+ * @param {Object} opcoes - { expiresIn } em segundos
+ */
+function gerarToken(dados, opcoes = {}) {
+  const agora = Math.floor(Date.now() / 1000);
+  const expiresIn = opcoes.expiresIn || EXPIRACAO_PADRAO;
+
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = {
+    ...dados,
+    iss: ISSUER,
+    iat: agora,
+    exp: agora + expiresIn
+  };
+
+  const conteudo = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+
+  return `${conteudo}.${assinar(conteudo)}`;
+}
+
+/**
+ * Verificar token assinado
+ * @param {string} token
+ * @param {Array<string>} tipos - tipos de token aceitos (typ)
+ */
+function verificarToken(token, tipos = null) {
+  if (!token || typeof token !== 'string') {
+    return { success: false, error: 'Token não fornecido', errorCode: 'TOKEN_MISSING' };
+  }
+
+  const partes = token.split('.');
+  if (partes.length !== 3) {
+    return { success: false, error: 'Token inválido', errorCode: 'TOKEN_INVALID' };
+  }
+
+  const [headerB64, payloadB64, assinatura] = partes;
+  const esperada = assinar(`${headerB64}.${payloadB64}`);
+
+  const recebidaBuf = Buffer.from(assinatura);
+  const esperadaBuf = Buffer.from(esperada);
+  if (recebidaBuf.length !== esperadaBuf.length || !crypto.timingSafeEqual(recebidaBuf, esperadaBuf)) {
+    return { success: false, error: 'Token inválido', errorCode: 'TOKEN_INVALID' };
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(headerB64, 'base64').toString('utf8'));
+    payload = JSON.parse(Buffer.from(payloadB64, 'base64').toString('utf8'));
+  } catch (error) {
+    return { success: false, error: 'Token inválido', errorCode: 'TOKEN_INVALID' };
+  }
+
+  if (header.alg !== 'HS256' || payload.iss !== ISSUER || !payload.sub || !payload.typ) {
+    return { success: false, error: 'Token inválido', errorCode: 'TOKEN_INVALID' };
+  }
+
+  if (!payload.exp || Math.floor(Date.now() / 1000) >= payload.exp) {
+    return { success: false, error: 'Token expirado', errorCode: 'TOKEN_EXPIRED' };
+  }
+
+  if (tipos && !tipos.includes(payload.typ)) {
+    return { success: false, error: 'Tipo de token não aceito', errorCode: 'TOKEN_INVALID' };
+  }
+
+  return { success: true, payload };
+}
+
+/**
+ * Extrair token da requisição (header Authorization, body ou query string)
+ */
+function extrairToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader) {
+    return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : authHeader.trim();
+  }
+
+  if (req.body && req.body.token) {
+    return req.body.token;
+  }
+
+  if (req.query && req.query.token) {
+    return req.query.token;
+  }
+
+  return null;
+}
+
+module.exports = {
+  gerarToken,
+  verificarToken,
+  extrairToken,
+  EXPIRACAO_PADRAO
+};
@@ -0,0 +1,301 @@
+/**
+ * Exportação e Importação da Configuração
+ * Pacote versionado com ambientes, perfis, logins e bancos disponíveis para migrar entre servidores
+ */
+
+const { VERSAO_SCHEMA, compararVersoes, migrarDocumento } = require('./migrations');
+const { normalizarPermissoes } = require('./permissoes');
+
+const FORMATO_PACOTE = 'sistema-admin-config';
+const VERSAO_PACOTE = 1;
+
+const MODOS_IMPORTACAO = ['mesclar', 'substituir'];
+
+// Campos com credenciais, omitidos quando a exportação é feita sem senhas
+const CAMPOS_SECRETOS = ['passwordHash', 'passwordHistory', 'twoFactor'];
+
+// Coleções do pacote e as chaves que precisam ser únicas em cada uma
+const COLECOES_PACOTE = {
+  ambientes: {
+    tipo: 'ambiente',
+    unicos: [
+      { campo: 'id', valor: a => a.id },
+      { campo: 'nome', valor: a => a.nome },
+      { campo: 'porta', valor: a => a.porta }
+    ]
+  },
+  perfis: {
+    tipo: 'perfil',
+    unicos: [
+      { campo: 'id', valor: p => p.id },
+      { campo: 'nome', valor: p => p.nome }
+    ]
+  },
+  logins: {
+    tipo: 'login',
+    unicos: [
+      { campo: 'id', valor: l => l.id },
+      { campo: 'username', valor: l => (l.username ? l.username.toLowerCase() : l.username) }
+    ]
+  }
+};
+
+function omitirSecretos(registro) {
+  const copia = { ...registro };
+  CAMPOS_SECRETOS.forEach(campo => delete copia[campo]);
+  return copia;
+}
+
+/**
+ * Montar pacote de exportação
+ * Segredos (hashes de senha e 2FA) ficam de fora, salvo com incluirSenhas
+ * @param {Object} opcoes - { incluirSenhas, exportadoPor }
+ */
+function exportarConfiguracao(db, { incluirSenhas = false, exportadoPor = null } = {}) {
+  const preparar = registro => (incluirSenhas ? structuredClone(registro) : omitirSecretos(structuredClone(registro)));
+
+  return {
+    formato: FORMATO_PACOTE,
+    versaoPacote: VERSAO_PACOTE,
+    versaoSchema: db.version || VERSAO_SCHEMA,
+    exportadoEm: new Date().toISOString(),
+    exportadoPor,
+    incluiSenhas: !!incluirSenhas,
+    dados: {
+      ambientes: (db.ambientes || []).map(preparar),
+      perfis: (db.perfis || []).map(preparar),
+      logins: (db.logins || []).map(preparar),
+      bancosDisponiveis: structuredClone(db.bancosDisponiveis || [])
+    }
+  };
+}
+
+/**
+ * Validar cabeçalho e formato dos registros do pacote
+ * @returns {Array} Lista de erros
+ */
+function validarPacote(pacote) {
+  if (!pacote || typeof pacote !== 'object' || pacote.formato !== FORMATO_PACOTE) {
+    return [{ error: `Pacote inválido: formato esperado "${FORMATO_PACOTE}"` }];
+  }
+  if (pacote.versaoPacote !== VERSAO_PACOTE) {
+    return [{ error: `Versão do pacote não suportada: ${pacote.versaoPacote}` }];
+  }
+  if (compararVersoes(pacote.versaoSchema, VERSAO_SCHEMA) > 0) {
+    return [{ error: `Pacote exportado pela versão ${pacote.versaoSchema} do schema, mais nova que a suportada (${VERSAO_SCHEMA})` }];
+  }
+
+  const dados = pacote.dados || {};
+  const erros = [];
+
+  Object.keys(COLECOES_PACOTE).forEach(colecao => {
+    if (!Array.isArray(dados[colecao])) {
+      erros.push({ colecao, error: `dados.${colecao} deve ser uma lista` });
+    }
+  });
+  if (dados.bancosDisponiveis !== undefined && !Array.isArray(dados.bancosDisponiveis)) {
+    erros.push({ colecao: 'bancosDisponiveis', error: 'dados.bancosDisponiveis deve ser uma lista' });
+  }
+  if (erros.length > 0) {
+    return erros;
+  }
+
+  const exigir = (colecao, registro, campo, valido) => {
+    if (!valido) {
+      erros.push({ colecao, id: registro && registro.id, error: `Campo "${campo}" ausente ou inválido` });
+    }
+  };
+
+  dados.ambientes.forEach(a => {
+    exigir('ambientes', a, 'id', a && a.id);
+    exigir('ambientes', a, 'nome', a && a.nome);
+    exigir('ambientes', a, 'porta', a && Number.isInteger(a.porta) && a.porta > 0 && a.porta < 65536);
+    exigir('ambientes', a, 'username', a && a.username);
+  });
+  dados.perfis.forEach(p => {
+    exigir('perfis', p, 'id', p && p.id);
+    exigir('perfis', p, 'nome', p && p.nome);
+  });
+  dados.logins.forEach(l => {
+    exigir('logins', l, 'id', l && l.id);
+    exigir('logins', l, 'username', l && typeof l.username === 'string' && l.username.trim());
+    exigir('logins', l, 'ambienteId', l && l.ambienteId);
+  });
+
+  return erros;
+}
+
+/**
+ * Procurar valores duplicados (no próprio pacote ou entre pacote e banco)
+ */
+function encontrarConflitos(colecao, registrosPacote, registrosBanco) {
+  const conflitos = [];
+
+  COLECOES_PACOTE[colecao].unicos.forEach(({ campo, valor }) => {
+    const vistos = new Map();
+
+    registrosPacote.forEach(registro => {
+      const chave = valor(registro);
+      if (vistos.has(chave)) {
+        conflitos.push({ colecao, id: registro.id, campo, valor: registro[campo], conflitaCom: vistos.get(chave), origem: 'pacote' });
+      } else {
+        vistos.set(chave, registro.id);
+      }
+    });
+
+    // Registros do banco que continuam existindo com outro id
+    registrosBanco.forEach(registro => {
+      const chave = valor(registro);
+      const idPacote = vistos.get(chave);
+      if (idPacote !== undefined && idPacote !== registro.id && !registrosPacote.some(r => r.id === registro.id)) {
+        conflitos.push({ colecao, id: idPacote, campo, valor: registro[campo], conflitaCom: registro.id, origem: 'banco' });
+      }
+    });
+  });
+
+  return conflitos;
+}
+
+/**
+ * Planejar a importação sobre uma cópia do banco (db é alterado)
+ * - mesclar: registros com o mesmo id são atualizados, os demais criados; o restante do banco é mantido
+ * - substituir: ambientes, perfis e logins passam a ser exatamente os do pacote
+ * @param {Object} opcoes - { modo, gerarHashSenha } gerarHashSenha cria o hash para registros sem senha
+ * @returns {Object} Relatório { resumo, conflitos, erros, senhasPendentes, removidos, loginsAlterados }
+ */
+function planejarImportacao(db, pacote, { modo = 'mesclar', gerarHashSenha } = {}) {
+  const relatorio = {
+    modo,
+    resumo: {},
+    conflitos: [],
+    erros: [],
+    senhasPendentes: [],
+    removidos: [],
+    loginsAlterados: []
+  };
+
+  if (!MODOS_IMPORTACAO.includes(modo)) {
+    relatorio.erros.push({ error: `Modo inválido: "${modo}" (use ${MODOS_IMPORTACAO.join(' ou ')})` });
+    return relatorio;
+  }
+
+  relatorio.erros = validarPacote(pacote);
+  if (relatorio.erros.length > 0) {
+    return relatorio;
+  }
+
+  // Pacotes de versões anteriores do schema passam pelas mesmas migrações do banco
+  const dados = { version: pacote.versaoSchema, admin: { usuarios: [] }, ...structuredClone(pacote.dados) };
+  migrarDocumento(dados);
+  dados.perfis.forEach(perfil => {
+    perfil.permissoes = normalizarPermissoes(perfil.permissoes || {});
+  });
+
+  // Conflitos de nome, porta e username
+  Object.keys(COLECOES_PACOTE).forEach(colecao => {
+    const existentes = modo === 'substituir' ? [] : (db[colecao] || []);
+    relatorio.conflitos.push(...encontrarConflitos(colecao, dados[colecao], existentes));
+  });
+
+  // Referências dos logins: ambientes e perfis do pacote (e do banco, ao mesclar)
+  const idsFinais = colecao => new Set([
+    ...dados[colecao].map(r => r.id),
+    ...(modo === 'substituir' ? [] : (db[colecao] || []).map(r => r.id))
+  ]);
+  const ambientesFinais = idsFinais('ambientes');
+  const perfisFinais = idsFinais('perfis');
+
+  dados.logins.forEach(login => {
+    if (!ambientesFinais.has(login.ambienteId)) {
+      relatorio.erros.push({ colecao: 'logins', id: login.id, error: `Ambiente "${login.ambienteId}" não existe no pacote nem no banco` });
+    }
+    if (login.perfilId && !perfisFinais.has(login.perfilId)) {
+      relatorio.erros.push({ colecao: 'logins', id: login.id, error: `Perfil "${login.perfilId}" não existe no pacote nem no banco` });
+    }
+  });
+
+  if (relatorio.erros.length > 0 || relatorio.conflitos.length > 0) {
+    return relatorio;
+  }
+
+  const agora = new Date().toISOString();
+
+  Object.keys(COLECOES_PACOTE).forEach(colecao => {
+    const atuais = db[colecao] || [];
+    const porId = new Map(atuais.map(r => [r.id, r]));
+    const resumo = { criados: 0, atualizados: 0, removidos: 0 };
+    const resultado = modo === 'substituir' ? [] : atuais.slice();
+
+    dados[colecao].forEach(registro => {
+      const existente = porId.get(registro.id);
+
+      // Sem hash no pacote: manter a senha atual ou gerar uma aleatória
+      if (!registro.passwordHash) {
+        if (existente && existente.passwordHash) {
+          CAMPOS_SECRETOS.forEach(campo => {
+            if (existente[campo] !== undefined) {
+              registro[campo] = existente[campo];
+            }
+          });
+        } else if (colecao !== 'perfis') {
+          registro.passwordHash = gerarHashSenha();
+          if (colecao === 'ambientes') {
+            registro.mustChangePassword = true;
+          }
+          relatorio.senhasPendentes.push({ colecao, id: registro.id, nome: registro.nome || registro.username });
+        }
+      }
+
+      const importado = { ...registro, atualizadoEm: agora };
+
+      if (existente) {
+        resumo.atualizados++;
+        if (modo === 'substituir') {
+          resultado.push(importado);
+        } else {
+          resultado[resultado.indexOf(existente)] = importado;
+        }
+        if (colecao === 'logins') {
+          relatorio.loginsAlterados.push(registro.id);
+        }
+      } else {
+        resumo.criados++;
+        resultado.push(importado);
+      }
+    });
+
+    if (modo === 'substituir') {
+      const mantidos = new Set(dados[colecao].map(r => r.id));
+      atuais.filter(r => !mantidos.has(r.id)).forEach(registro => {
+        resumo.removidos++;
+        relatorio.removidos.push({ tipo: COLECOES_PACOTE[colecao].tipo, registro });
+        if (colecao === 'logins') {
+          relatorio.loginsAlterados.push(registro.id);
+        }
+      });
+    }
+
+    db[colecao] = resultado;
+    relatorio.resumo[colecao] = resumo;
+  });
+
+  if (Array.isArray(pacote.dados.bancosDisponiveis) && pacote.dados.bancosDisponiveis.length > 0) {
+    if (modo === 'substituir') {
+      db.bancosDisponiveis = structuredClone(pacote.dados.bancosDisponiveis);
+    } else {
+      const bancos = new Map((db.bancosDisponiveis || []).map(b => [b.id, b]));
+      pacote.dados.bancosDisponiveis.forEach(banco => bancos.set(banco.id, structuredClone(banco)));
+      db.bancosDisponiveis = [...bancos.values()];
+    }
+  }
+
+  return relatorio;
+}
+
+module.exports = {
+  FORMATO_PACOTE,
+  VERSAO_PACOTE,
+  MODOS_IMPORTACAO,
+  exportarConfiguracao,
+  planejarImportacao
+};
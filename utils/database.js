@@ -6,27 +6,69 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const DB_FILE = path.join(DATA_DIR, 'database.json');
+const { normalizarPermissoes } = require('./permissoes');
+const { revogarSessoesDoSujeito } = require('./sessions');
+const { criarStorage, DATA_DIR } = require('./storage');
+const {
+  POLITICA_SENHA,
+  validarForcaSenha,
+  hashesBloqueados,
+  registrarTrocaSenha,
+  senhaExpirada
+} = require('./password-policy');
+const { VERSAO_SCHEMA, migrarDocumento } = require('./migrations');
+const { criarSnapshot } = require('./snapshots');
+const { validarEstrutura, preservarArquivoCorrompido, ultimoSnapshotValido } = require('./db-recovery');
+const { aplicarExclusao, verificarIntegridade, corrigirOrfaos } = require('./referential-integrity');
+const {
+  TIPOS_LIXEIRA,
+  quarentenarPasta,
+  restaurarPasta,
+  removerPasta,
+  criarItemLixeira,
+  itemExpirado,
+  sanitizarItemLixeira
+} = require('./trash');
+const { exportarConfiguracao, planejarImportacao } = require('./config-bundle');
+const { FAIXA_PORTAS, verificarPorta, proximaPortaLivre } = require('./port-allocator');
 
 // Inicializar diretório de dados
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
+// Backend de persistência (DB_BACKEND=json|sqlite)
+const storage = criarStorage();
+
+/**
+ * Parâmetros do scrypt para hash de senhas
+ */
+const SCRYPT_PARAMS = {
+  N: 16384,
+  r: 8,
+  p: 1,
+  keylen: 64
+};
+
+/**
+ * Senha do usuário admin criado na inicialização
+ */
+const SENHA_PADRAO_ADMIN = 'admin123';
+
 /**
  * Estrutura inicial do banco de dados
  */
 const DB_SCHEMA = {
-  version: '1.0.0',
+  version: VERSAO_SCHEMA,
   admin: {
     usuarios: [
       {
         id: 'admin-1',
         username: 'admin',
-        passwordHash: hashPassword('admin123'), // Senha padrão: admin123
+        passwordHash: hashPassword(SENHA_PADRAO_ADMIN), // Senha padrão: admin123
         role: 'admin',
+        mustChangePassword: true, // Senha padrão deve ser trocada no primeiro acesso
+        ativo: true,
         criadoEm: new Date().toISOString()
       }
     ]
@@ -34,6 +76,7 @@ const DB_SCHEMA = {
   perfis: [], // Perfis de permissões (define o que pode fazer)
   logins: [], // Logins de acesso (define qual ambiente acessa)
   ambientes: [],
+  lixeira: [], // Ambientes, perfis e logins excluídos (restauráveis até o fim da retenção)
   bancosDisponiveis: [
     {
       id: 'presencabank',
@@ -58,55 +101,408 @@ const DB_SCHEMA = {
 };
 
 /**
- * Hash de senha
+ * Hash de senha (scrypt com salt aleatório)
+ * Formato armazenado: scrypt$N$r$p$salt$hash
  */
 function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+  const { N, r, p, keylen } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, keylen, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
 }
 
 /**
  * Verificar senha
+ * Aceita hashes scrypt e hashes legados (SHA-256 sem salt)
  */
 function verifyPassword(password, hash) {
-  return hashPassword(password) === hash;
+  if (typeof password !== 'string' || typeof hash !== 'string') {
+    return false;
+  }
+  
+  if (hash.startsWith('scrypt$')) {
+    const partes = hash.split('$');
+    if (partes.length !== 6) {
+      return false;
+    }
+    
+    const [, N, r, p, saltB64, hashB64] = partes;
+    const esperado = Buffer.from(hashB64, 'base64');
+    const calculado = crypto.scryptSync(password, Buffer.from(saltB64, 'base64'), esperado.length, {
+      N: parseInt(N),
+      r: parseInt(r),
+      p: parseInt(p)
+    });
+    
+    return crypto.timingSafeEqual(calculado, esperado);
+  }
+  
+  // Hash legado: SHA-256 hexadecimal sem salt
+  if (/^[a-f0-9]{64}$/.test(hash)) {
+    const calculado = crypto.createHash('sha256').update(password).digest();
+    return crypto.timingSafeEqual(calculado, Buffer.from(hash, 'hex'));
+  }
+  
+  return false;
 }
 
 /**
- * Carregar banco de dados
+ * Verificar se o hash precisa ser regerado (legado ou parâmetros antigos)
  */
-function loadDatabase() {
+function needsRehash(hash) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  return typeof hash !== 'string' || !hash.startsWith(`scrypt$${N}$${r}$${p}$`);
+}
+
+/**
+ * Executar uma verificação de senha descartável
+ * Usado quando o usuário não existe, para que o tempo de resposta não revele isso
+ */
+let hashFicticio = null;
+function verificarSenhaFicticia(password) {
+  if (!hashFicticio) {
+    hashFicticio = hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  verifyPassword(String(password || ''), hashFicticio);
+}
+
+/**
+ * Gerar senha aleatória (maiúsculas, minúsculas, dígitos e símbolos)
+ * Usada para senhas iniciais e redefinições feitas pelo admin
+ */
+function gerarSenhaAleatoria(tamanho = 16) {
+  const classes = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!@#$%&*-_=+'];
+  const todos = classes.join('');
+  
+  // Um caractere de cada classe, o restante de qualquer classe
+  const caracteres = classes.map(c => c[crypto.randomInt(c.length)]);
+  while (caracteres.length < tamanho) {
+    caracteres.push(todos[crypto.randomInt(todos.length)]);
+  }
+  
+  // Embaralhar (Fisher-Yates)
+  for (let i = caracteres.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [caracteres[i], caracteres[j]] = [caracteres[j], caracteres[i]];
+  }
+  
+  return caracteres.join('');
+}
+
+/**
+ * Definir nova senha de um registro (login, admin ou ambiente) aplicando a política
+ * Valida força e histórico; não persiste o banco
+ */
+function definirSenha(registro, novaSenha) {
+  const forca = validarForcaSenha(novaSenha, { username: registro.username });
+  if (!forca.success) {
+    return forca;
+  }
+  
+  if (hashesBloqueados(registro).some(hash => verifyPassword(novaSenha, hash))) {
+    return {
+      success: false,
+      error: `A nova senha não pode repetir a atual nem as ${POLITICA_SENHA.historico} anteriores`,
+      errorCode: 'PASSWORD_REUSED'
+    };
+  }
+  
+  registrarTrocaSenha(registro, hashPassword(novaSenha));
+  return { success: true };
+}
+
+/**
+ * Regravar o hash de senha após login bem-sucedido (migração de hashes legados)
+ * @param {Function} obterRegistros - retorna a lista de registros a partir do banco
+ */
+function rehashSeNecessario(obterRegistros, id, password, hashAtual) {
+  if (!needsRehash(hashAtual)) {
+    return;
+  }
+  
+  const db = loadDatabase();
+  const registro = obterRegistros(db).find(r => r.id === id);
+  
+  if (registro) {
+    registro.passwordHash = hashPassword(password);
+    saveDatabase(db, { snapshot: false });
+  }
+}
+
+/**
+ * Cache em memória do banco de dados
+ * O banco é lido uma única vez e relido apenas quando muda: gravações deste processo
+ * atualizam o cache, alterações externas são detectadas pela versão do backend
+ * (mtime/tamanho do arquivo JSON, revisão do SQLite) e por fs.watch
+ */
+let cache = null; // { db, versao, indices, invalidado }
+
+function definirCache(db, versao = storage.versao()) {
+  cache = { db, versao, indices: null, invalidado: false };
+  
+  storage.observar(() => {
+    // Eventos gerados pelas gravações deste processo não invalidam o cache
+    if (cache && !cacheValido()) {
+      cache.invalidado = true;
+    }
+  });
+}
+
+/**
+ * Verificar se o cache ainda corresponde ao que está gravado
+ */
+function cacheValido() {
+  return !!cache && !cache.invalidado && storage.versao() === cache.versao;
+}
+
+/**
+ * Modo de recuperação: ativado quando o banco gravado não pode ser lido
+ * O arquivo corrompido é preservado, as leituras usam o último snapshot válido
+ * (ou um banco vazio, sem usuários) e nenhuma gravação é aceita até a restauração
+ */
+let recuperacao = null; // { desde, erro, versao, arquivoPreservado, snapshotLeitura, db }
+
+function entrarEmRecuperacao(error, versao) {
+  if (!recuperacao || recuperacao.versao !== versao) {
+    console.error('❌ Erro ao carregar banco de dados:', error.message);
+    
+    let arquivoPreservado = null;
+    try {
+      arquivoPreservado = preservarArquivoCorrompido(storage.local);
+    } catch (erroCopia) {
+      console.error('❌ Erro ao preservar arquivo corrompido:', erroCopia.message);
+    }
+    
+    const snapshot = ultimoSnapshotValido();
+    const db = snapshot ? snapshot.documento : { ...structuredClone(DB_SCHEMA), admin: { usuarios: [] } };
+    migrarDocumento(db);
+    
+    recuperacao = {
+      desde: recuperacao ? recuperacao.desde : new Date().toISOString(),
+      erro: error.message,
+      versao,
+      arquivoPreservado,
+      snapshotLeitura: snapshot ? snapshot.id : null,
+      db
+    };
+    
+    console.error(`🚨 Banco de dados em modo de recuperação: gravações bloqueadas. Cópia do arquivo: ${arquivoPreservado || 'indisponível'}; leituras a partir de ${snapshot ? `snapshot ${snapshot.id}` : 'banco vazio'}`);
+  }
+  
+  definirCache(recuperacao.db, versao);
+  return recuperacao.db;
+}
+
+/**
+ * Ler banco de dados (cópia compartilhada do cache, somente leitura)
+ */
+function lerBanco() {
+  if (cacheValido()) {
+    return cache.db;
+  }
+  
+  // Versão obtida antes da leitura: se o banco mudar entre os dois, o cache é relido no próximo acesso
+  const versao = storage.versao();
+  
   try {
-    if (fs.existsSync(DB_FILE)) {
-      const data = fs.readFileSync(DB_FILE, 'utf8');
-      const db = JSON.parse(data);
-      
-      // Garantir que perfis e logins existem (migração)
-      if (!db.perfis) {
-        db.perfis = [];
-      }
-      if (!db.logins) {
-        db.logins = [];
-      }
-      
-      return db;
-    } else {
+    if (!storage.existe()) {
       // Criar banco inicial
-      saveDatabase(DB_SCHEMA);
-      return DB_SCHEMA;
+      saveDatabase(structuredClone(DB_SCHEMA));
+      return cache ? cache.db : DB_SCHEMA;
+    }
+    
+    const db = storage.ler();
+    const problema = validarEstrutura(db);
+    if (problema) {
+      throw new Error(`Estrutura inválida: ${problema}`);
+    }
+    
+    // Arquivo corrigido externamente
+    if (recuperacao) {
+      console.log('✅ Banco de dados legível novamente: modo de recuperação encerrado');
+      recuperacao = null;
+    }
+    
+    definirCache(db, versao);
+    return db;
+  } catch (error) {
+    return entrarEmRecuperacao(error, versao);
+  }
+}
+
+/**
+ * Situação do banco de dados (ok ou recuperacao)
+ */
+function statusBanco() {
+  lerBanco();
+  
+  if (!recuperacao) {
+    return { status: 'ok', backend: storage.nome };
+  }
+  
+  return {
+    status: 'recuperacao',
+    backend: storage.nome,
+    desde: recuperacao.desde,
+    erro: recuperacao.erro,
+    arquivoPreservado: recuperacao.arquivoPreservado,
+    snapshotLeitura: recuperacao.snapshotLeitura
+  };
+}
+
+/**
+ * Verificar se o banco está em modo de recuperação
+ */
+function emRecuperacao() {
+  lerBanco();
+  return !!recuperacao;
+}
+
+/**
+ * Sair do modo de recuperação gravando um documento válido (snapshot ou arquivo reparado)
+ */
+function recuperarBanco(documento) {
+  if (!emRecuperacao()) {
+    return { success: false, error: 'O banco de dados não está em modo de recuperação', errorCode: 'NOT_IN_RECOVERY' };
+  }
+  
+  const problema = validarEstrutura(documento);
+  if (problema) {
+    return { success: false, error: `Documento inválido: ${problema}`, errorCode: 'INVALID_DOCUMENT' };
+  }
+  
+  const restaurado = structuredClone(documento);
+  const migracao = migrarDocumento(restaurado);
+  if (!migracao.success) {
+    return migracao;
+  }
+  
+  try {
+    storage.comTrava(() => {
+      // A revisão do banco corrompido é desconhecida: continuar a partir da maior revisão conhecida
+      restaurado.revisao = Math.max(restaurado.revisao || 0, recuperacao.db.revisao || 0) + 1;
+      storage.gravar(restaurado);
+      recuperacao = null;
+      definirCache(structuredClone(restaurado));
+    });
+  } catch (error) {
+    console.error('❌ Erro ao gravar banco recuperado:', error);
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  console.log('✅ Banco de dados recuperado: modo de recuperação encerrado');
+  return { success: true, migracoesAplicadas: migracao.aplicadas };
+}
+
+/**
+ * Carregar banco de dados para alteração (cópia independente do cache)
+ */
+function loadDatabase() {
+  return structuredClone(lerBanco());
+}
+
+/**
+ * Índices do cache por id, username e porta (reconstruídos a cada nova versão do banco)
+ */
+function indices() {
+  const db = lerBanco();
+  
+  if (!cache || cache.db !== db) {
+    return construirIndices(db);
+  }
+  
+  if (!cache.indices) {
+    cache.indices = construirIndices(db);
+  }
+  
+  return cache.indices;
+}
+
+function construirIndices(db) {
+  // Em caso de chaves duplicadas prevalece o primeiro registro (mesmo resultado de Array.find)
+  const indexar = (lista, chave) => {
+    const mapa = new Map();
+    (lista || []).forEach(registro => {
+      const valor = chave(registro);
+      if (valor !== undefined && valor !== null && !mapa.has(valor)) {
+        mapa.set(valor, registro);
+      }
+    });
+    return mapa;
+  };
+  
+  return {
+    ambientesPorId: indexar(db.ambientes, a => a.id),
+    ambientesPorPorta: indexar(db.ambientes, a => a.porta),
+    perfisPorId: indexar(db.perfis, p => p.id),
+    loginsPorId: indexar(db.logins, l => l.id),
+    loginsPorUsername: indexar(db.logins, l => l.username ? l.username.toLowerCase() : null),
+    adminsPorId: indexar(db.admin.usuarios, u => u.id),
+    adminsPorUsername: indexar(db.admin.usuarios, u => u.username)
+  };
+}
+
+/**
+ * Ler a revisão gravada (0 se o banco ainda não existe)
+ */
+function lerRevisaoGravada() {
+  if (cacheValido()) {
+    return cache.db.revisao || 0;
+  }
+  return storage.revisao();
+}
+
+/**
+ * Gravar snapshot do estado atual do banco (falhas não impedem a gravação)
+ */
+function gravarSnapshot() {
+  try {
+    if (cacheValido()) {
+      criarSnapshot(cache.db);
+    } else if (storage.existe()) {
+      criarSnapshot(storage.ler());
     }
   } catch (error) {
-    console.error('❌ Erro ao carregar banco de dados:', error);
-    return DB_SCHEMA;
+    console.error('⚠️ Erro ao gravar snapshot do banco de dados:', error.message);
   }
 }
 
 /**
  * Salvar banco de dados
+ * A cópia precisa partir da revisão atual em disco (controle de concorrência otimista):
+ * se outro processo ou operação gravou nesse meio tempo, a gravação é recusada
+ * @param {Object} opcoes - { snapshot: false } para gravações de controle (último uso, rehash),
+ *   que não precisam ser restauradas e tirariam da retenção os snapshots úteis
  */
-function saveDatabase(data) {
+function saveDatabase(data, { snapshot = true } = {}) {
+  if (recuperacao) {
+    console.error('❌ Banco de dados em modo de recuperação: gravação recusada');
+    return false;
+  }
+  
   try {
-    fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2), 'utf8');
-    return true;
+    return storage.comTrava(() => {
+      const revisaoAtual = lerRevisaoGravada();
+      
+      if ((data.revisao || 0) !== revisaoAtual) {
+        console.error(`❌ Conflito ao salvar banco de dados: cópia da revisão ${data.revisao || 0}, revisão atual ${revisaoAtual}`);
+        return false;
+      }
+      
+      // Preservar o estado gravado antes de substituí-lo
+      if (snapshot) {
+        gravarSnapshot();
+      }
+      
+      const novaRevisao = revisaoAtual + 1;
+      storage.gravar({ ...data, revisao: novaRevisao });
+      data.revisao = novaRevisao;
+      
+      // O cache passa a refletir a versão gravada (cópia própria, independente do chamador)
+      definirCache(structuredClone(data));
+      
+      return true;
+    });
   } catch (error) {
     console.error('❌ Erro ao salvar banco de dados:', error);
     return false;
@@ -114,35 +510,99 @@ function saveDatabase(data) {
 }
 
 /**
- * Obter banco de dados
+ * Obter banco de dados (somente leitura: alterações devem usar updateDatabase)
  */
 function getDatabase() {
-  return loadDatabase();
+  return lerBanco();
 }
 
 /**
  * Atualizar banco de dados
+ * Leitura, alteração e gravação ocorrem com a trava do backend, serializando as atualizações
+ * entre requisições e processos. O updater deve ser síncrono e não pode chamar updateDatabase.
+ * @param {Object} opcoes - repassadas a saveDatabase ({ snapshot })
  */
-function updateDatabase(updater) {
-  const db = loadDatabase();
-  const updated = updater(db);
-  saveDatabase(updated);
-  return updated;
+let atualizacaoEmAndamento = false;
+function updateDatabase(updater, opcoes = {}) {
+  if (atualizacaoEmAndamento) {
+    throw new Error('updateDatabase não pode ser chamado dentro de outra atualização');
+  }
+  
+  return storage.comTrava(() => {
+    atualizacaoEmAndamento = true;
+    try {
+      const db = loadDatabase();
+      const updated = updater(db);
+      
+      if (!saveDatabase(updated, opcoes)) {
+        throw new Error('Erro ao salvar banco de dados');
+      }
+      
+      return updated;
+    } finally {
+      atualizacaoEmAndamento = false;
+    }
+  });
+}
+
+/**
+ * Restaurar o banco a partir de um documento (snapshot)
+ * O estado substituído também fica preservado em um snapshot
+ */
+function restaurarBanco(documento) {
+  const restaurado = structuredClone(documento);
+  
+  // Snapshots de versões anteriores do schema são migrados antes de gravar
+  const migracao = migrarDocumento(restaurado);
+  if (!migracao.success) {
+    return migracao;
+  }
+  
+  try {
+    updateDatabase(db => ({ ...restaurado, revisao: db.revisao }));
+  } catch (error) {
+    return { success: false, error: error.message, errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  return { success: true, migracoesAplicadas: migracao.aplicadas };
 }
 
 /**
  * Autenticar usuário admin
  */
 function authenticateAdmin(username, password) {
-  const db = loadDatabase();
-  const usuario = db.admin.usuarios.find(u => u.username === username);
+  const usuario = indices().adminsPorUsername.get(username);
   
   if (!usuario) {
-    return { success: false, error: 'Usuário não encontrado' };
+    verificarSenhaFicticia(password);
+    return { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
   }
   
   if (!verifyPassword(password, usuario.passwordHash)) {
-    return { success: false, error: 'Senha incorreta' };
+    return { success: false, error: 'Senha incorreta', errorCode: 'INVALID_PASSWORD' };
+  }
+  
+  if (usuario.ativo === false) {
+    return { success: false, error: 'Usuário inativo', errorCode: 'USER_INACTIVE' };
+  }
+  
+  rehashSeNecessario(db => db.admin.usuarios, usuario.id, password, usuario.passwordHash);
+  
+  // Bancos antigos não possuem a flag: exigir troca enquanto a senha padrão estiver em uso
+  // (a gravação é só para persistir a flag: se falhar, o login segue com a troca exigida)
+  const usandoSenhaPadrao = password === SENHA_PADRAO_ADMIN;
+  if (usandoSenhaPadrao && !usuario.mustChangePassword) {
+    try {
+      updateDatabase(db => {
+        const registro = db.admin.usuarios.find(u => u.id === usuario.id);
+        if (registro) {
+          registro.mustChangePassword = true;
+        }
+        return db;
+      }, { snapshot: false });
+    } catch (error) {
+      console.error('⚠️ Erro ao gravar a troca obrigatória de senha:', error.message);
+    }
   }
   
   return {
@@ -150,7 +610,8 @@ function authenticateAdmin(username, password) {
     usuario: {
       id: usuario.id,
       username: usuario.username,
-      role: usuario.role
+      role: usuario.role,
+      mustChangePassword: !!usuario.mustChangePassword || usandoSenhaPadrao
     }
   };
 }
@@ -163,10 +624,27 @@ function createAmbiente(nome, porta, username, password, bancosPermitidos = [],
   pipelineKentro = null;
   const db = loadDatabase();
   
-  // Verificar se porta já existe
-  const ambienteExistente = db.ambientes.find(a => a.porta === porta);
-  if (ambienteExistente) {
-    return { success: false, error: `Porta ${porta} já está em uso` };
+  // Sem porta informada: usar a próxima livre da faixa configurada
+  if (porta === null || porta === undefined) {
+    porta = proximaPortaLivre(db).porta;
+    if (porta === null) {
+      return {
+        success: false,
+        error: `Nenhuma porta livre na faixa ${FAIXA_PORTAS.minima}-${FAIXA_PORTAS.maxima}`,
+        errorCode: 'PORT_RANGE_EXHAUSTED'
+      };
+    }
+  }
+  
+  // Verificar ambientes cadastrados, pastas rota-*, sockets em escuta e portas reservadas
+  const disponibilidade = verificarPorta(porta, db);
+  if (!disponibilidade.disponivel) {
+    return {
+      success: false,
+      error: `Porta ${porta} indisponível: ${disponibilidade.motivos.map(m => m.detalhe).join('; ')}`,
+      errorCode: 'PORT_UNAVAILABLE',
+      motivos: disponibilidade.motivos
+    };
   }
   
   // Verificar se nome já existe
@@ -190,7 +668,9 @@ function createAmbiente(nome, porta, username, password, bancosPermitidos = [],
   };
   
   db.ambientes.push(novoAmbiente);
-  saveDatabase(db);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
   
   return {
     success: true,
@@ -204,11 +684,25 @@ function createAmbiente(nome, porta, username, password, bancosPermitidos = [],
   };
 }
 
+/**
+ * Sugerir porta para um novo ambiente
+ */
+function proximaPortaAmbiente() {
+  return { ...proximaPortaLivre(lerBanco()), faixa: FAIXA_PORTAS };
+}
+
+/**
+ * Verificar se a porta pode ser usada por um novo ambiente
+ */
+function verificarPortaAmbiente(porta) {
+  return { porta, ...verificarPorta(porta, lerBanco()) };
+}
+
 /**
  * Listar ambientes
  */
 function listAmbientes() {
-  const db = loadDatabase();
+  const db = lerBanco();
   return db.ambientes.map(a => ({
     id: a.id,
     nome: a.nome,
@@ -217,6 +711,7 @@ function listAmbientes() {
     bancosPermitidos: a.bancosPermitidos,
     pipelineKentro: a.pipelineKentro || null,
     ativo: a.ativo,
+    mustChangePassword: !!a.mustChangePassword,
     criadoEm: a.criadoEm,
     atualizadoEm: a.atualizadoEm
   }));
@@ -226,8 +721,14 @@ function listAmbientes() {
  * Obter ambiente por ID
  */
 function getAmbiente(ambienteId) {
-  const db = loadDatabase();
-  return db.ambientes.find(a => a.id === ambienteId);
+  return indices().ambientesPorId.get(ambienteId);
+}
+
+/**
+ * Obter ambiente pela porta
+ */
+function getAmbientePorPorta(porta) {
+  return indices().ambientesPorPorta.get(parseInt(porta));
 }
 
 /**
@@ -280,7 +781,9 @@ function updateAmbiente(ambienteId, dados) {
   }
   
   ambiente.atualizadoEm = new Date().toISOString();
-  saveDatabase(db);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
   
   return { success: true, ambiente };
 }
@@ -291,103 +794,211 @@ function updateAmbiente(ambienteId, dados) {
 function authenticateAmbiente(ambienteId, username, password) {
   const ambiente = getAmbiente(ambienteId);
   
-  if (!ambiente) {
-    return { success: false, error: 'Ambiente não encontrado' };
-  }
-  
-  if (ambiente.username !== username) {
-    return { success: false, error: 'Usuário incorreto' };
+  if (!ambiente || ambiente.username !== username) {
+    verificarSenhaFicticia(password);
+    return { success: false, error: 'Usuário ou senha inválidos', errorCode: 'INVALID_CREDENTIALS' };
   }
   
   if (!verifyPassword(password, ambiente.passwordHash)) {
-    return { success: false, error: 'Senha incorreta' };
+    return { success: false, error: 'Usuário ou senha inválidos', errorCode: 'INVALID_CREDENTIALS' };
   }
   
+  rehashSeNecessario(db => db.ambientes, ambiente.id, password, ambiente.passwordHash);
+  
   return {
     success: true,
     ambiente: {
       id: ambiente.id,
       nome: ambiente.nome,
       porta: ambiente.porta,
-      bancosPermitidos: ambiente.bancosPermitidos
+      bancosPermitidos: ambiente.bancosPermitidos,
+      mustChangePassword: !!ambiente.mustChangePassword
     }
   };
 }
 
 /**
- * Obter bancos disponíveis
- */
-function getBancosDisponiveis() {
-  const db = loadDatabase();
-  return db.bancosDisponiveis.filter(b => b.ativo);
-}
-
-/**
- * Atualizar lista de bancos disponíveis (sincronizar da rota-4000)
+ * Alterar senha do ambiente (pelo próprio usuário do ambiente)
+ * @param {string} sessaoAtualId - sessão mantida ativa após a troca
  */
-function updateBancosDisponiveis(bancos) {
+function changeAmbientePassword(ambienteId, senhaAtual, novaSenha, sessaoAtualId = null) {
   const db = loadDatabase();
-  db.bancosDisponiveis = bancos;
-  db.ultimaSincronizacao = new Date().toISOString();
-  saveDatabase(db);
+  const ambiente = db.ambientes.find(a => a.id === ambienteId);
+  
+  if (!ambiente) {
+    return { success: false, error: 'Ambiente não encontrado' };
+  }
+  
+  if (!verifyPassword(senhaAtual, ambiente.passwordHash)) {
+    return { success: false, error: 'Senha atual incorreta', errorCode: 'INVALID_PASSWORD' };
+  }
+  
+  if (!novaSenha || novaSenha === senhaAtual) {
+    return { success: false, error: 'A nova senha deve ser diferente da atual', errorCode: 'INVALID_NEW_PASSWORD' };
+  }
+  
+  const definida = definirSenha(ambiente, novaSenha);
+  if (!definida.success) {
+    return definida;
+  }
+  
+  ambiente.mustChangePassword = false;
+  ambiente.atualizadoEm = new Date().toISOString();
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDoSujeito('ambiente', ambienteId, 'senha alterada', sessaoAtualId);
+  
   return { success: true };
 }
 
 /**
- * Deletar ambiente
+ * Redefinir senha do ambiente (admin)
+ * Gera uma senha aleatória de uso único: o usuário do ambiente deve trocá-la no próximo acesso
+ * A senha gerada só é retornada nesta chamada
  */
-function deleteAmbiente(ambienteId) {
+function resetAmbientePassword(ambienteId) {
   const db = loadDatabase();
-  const index = db.ambientes.findIndex(a => a.id === ambienteId);
+  const ambiente = db.ambientes.find(a => a.id === ambienteId);
   
-  if (index === -1) {
+  if (!ambiente) {
+    return { success: false, error: 'Ambiente não encontrado' };
+  }
+  
+  const senha = gerarSenhaAleatoria();
+  
+  registrarTrocaSenha(ambiente, hashPassword(senha));
+  ambiente.mustChangePassword = true;
+  ambiente.senhaRedefinidaEm = new Date().toISOString();
+  ambiente.atualizadoEm = ambiente.senhaRedefinidaEm;
+  
+  const saved = saveDatabase(db);
+  if (!saved) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDoSujeito('ambiente', ambienteId, 'senha redefinida');
+  
+  return {
+    success: true,
+    ambiente: {
+      id: ambiente.id,
+      nome: ambiente.nome,
+      porta: ambiente.porta,
+      username: ambiente.username
+    },
+    senha: senha
+  };
+}
+
+/**
+ * Obter bancos disponíveis
+ */
+function getBancosDisponiveis() {
+  const db = lerBanco();
+  return db.bancosDisponiveis.filter(b => b.ativo);
+}
+
+/**
+ * Atualizar lista de bancos disponíveis (sincronizar da rota-4000)
+ */
+function updateBancosDisponiveis(bancos) {
+  const db = loadDatabase();
+  
+  // Lista igual à gravada: nada a sincronizar
+  if (JSON.stringify(db.bancosDisponiveis) === JSON.stringify(bancos)) {
+    return { success: true, alterado: false };
+  }
+  
+  db.bancosDisponiveis = bancos;
+  db.ultimaSincronizacao = new Date().toISOString();
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  return { success: true, alterado: true };
+}
+
+/**
+ * Deletar ambiente (vai para a lixeira; a pasta é movida para a quarentena)
+ */
+function deleteAmbiente(ambienteId, opcoes = {}) {
+  const db = loadDatabase();
+  const index = db.ambientes.findIndex(a => a.id === ambienteId);
+  
+  if (index === -1) {
     return { success: false, error: 'Ambiente não encontrado' };
   }
   
   const ambiente = db.ambientes[index];
   const ambientePath = path.join(__dirname, '..', '..', ambiente.path);
   
-  // Remover do banco de dados primeiro
+  // Logins e chaves de API do ambiente: bloquear, desativar ou reatribuir (opcoes.modo)
+  const exclusao = aplicarExclusao(db, 'ambiente', ambienteId, opcoes);
+  if (!exclusao.success) {
+    return exclusao;
+  }
+  
+  // A pasta sai de rota-*.producao antes da gravação (senão a sincronização registraria o ambiente de novo)
+  let pastaQuarentena = null;
+  let aviso = null;
+  try {
+    pastaQuarentena = quarentenarPasta(ambientePath);
+  } catch (error) {
+    console.error(`Erro ao mover pasta do ambiente ${ambienteId} para a quarentena:`, error.message);
+    aviso = error.message;
+  }
+  
   db.ambientes.splice(index, 1);
-  const saved = saveDatabase(db);
+  const item = adicionarNaLixeira(db, criarItemLixeira('ambiente', ambiente, {
+    excluidoPor: opcoes.excluidoPor,
+    pastaOriginal: ambientePath,
+    pastaQuarentena,
+    dependentes: exclusao.afetados
+  }));
   
-  if (!saved) {
+  if (!saveDatabase(db)) {
+    devolverPasta(pastaQuarentena, ambientePath);
     return { success: false, error: 'Erro ao salvar banco de dados após deletar ambiente' };
   }
   
-  // Tentar deletar a pasta física
+  revogarSessoesDosLogins(exclusao.afetados.logins, 'ambiente excluído');
+  
+  let message = 'Ambiente movido para a lixeira (pasta não encontrada)';
+  if (pastaQuarentena) {
+    message = 'Ambiente movido para a lixeira e pasta movida para a quarentena';
+  } else if (aviso) {
+    message = 'Ambiente movido para a lixeira, mas houve erro ao mover a pasta física';
+  }
+  
+  return {
+    success: true,
+    message,
+    warning: aviso || undefined,
+    lixeiraId: item.id,
+    dependentes: exclusao.afetados
+  };
+}
+
+/**
+ * Adicionar item à lixeira do banco
+ */
+function adicionarNaLixeira(db, item) {
+  if (!db.lixeira) {
+    db.lixeira = [];
+  }
+  db.lixeira.push(item);
+  return item;
+}
+
+/**
+ * Desfazer a movimentação de uma pasta após falha ao gravar o banco
+ */
+function devolverPasta(origem, destino) {
   try {
-    if (fs.existsSync(ambientePath)) {
-      // Função recursiva para deletar pasta
-      function deletarPastaRecursiva(caminho) {
-        if (fs.existsSync(caminho)) {
-          const stats = fs.statSync(caminho);
-          if (stats.isDirectory()) {
-            const arquivos = fs.readdirSync(caminho);
-            arquivos.forEach(arquivo => {
-              const caminhoCompleto = path.join(caminho, arquivo);
-              deletarPastaRecursiva(caminhoCompleto);
-            });
-            fs.rmdirSync(caminho);
-          } else {
-            fs.unlinkSync(caminho);
-          }
-        }
-      }
-      
-      deletarPastaRecursiva(ambientePath);
-      return { success: true, message: 'Ambiente e pasta deletados com sucesso' };
-    } else {
-      return { success: true, message: 'Ambiente deletado (pasta não encontrada)' };
-    }
+    restaurarPasta(origem, destino);
   } catch (error) {
-    console.error(`Erro ao deletar pasta do ambiente ${ambienteId}:`, error.message);
-    // Retornar sucesso mesmo se não conseguir deletar a pasta (ambiente já foi removido do BD)
-    return { 
-      success: true, 
-      message: 'Ambiente deletado do banco de dados, mas houve erro ao deletar a pasta física',
-      warning: error.message
-    };
+    console.error(`❌ Erro ao devolver pasta ${origem} para ${destino}:`, error.message);
   }
 }
 
@@ -433,6 +1044,11 @@ function sincronizarAmbientesExistentes() {
       ambienteExistente.atualizadoEm = new Date().toISOString();
       ambienteExistente.ativo = true;
       
+      // Ambientes registrados com a antiga senha padrão admin{porta} precisam trocá-la
+      if (!ambienteExistente.mustChangePassword && verifyPassword(`admin${ambienteExistente.porta}`, ambienteExistente.passwordHash)) {
+        ambienteExistente.mustChangePassword = true;
+      }
+      
       if (mudou) {
         resultados.atualizados.push({
           id: ambienteExistente.id,
@@ -449,14 +1065,17 @@ function sincronizarAmbientesExistentes() {
       }
     } else {
       // Criar novo ambiente no banco
+      // A senha inicial é aleatória e não é exibida: o admin deve redefini-la para obter o acesso
       const novoAmbiente = {
         id: `ambiente-${Date.now()}-${ambienteDetectado.porta}`,
         nome: ambienteDetectado.nome,
         porta: ambienteDetectado.porta,
         path: ambienteDetectado.path,
         username: `admin-${ambienteDetectado.porta}`, // Username padrão
-        passwordHash: hashPassword(`admin${ambienteDetectado.porta}`), // Senha padrão: admin{porta}
+        passwordHash: hashPassword(gerarSenhaAleatoria()),
+        mustChangePassword: true,
         bancosPermitidos: ambienteDetectado.bancosPermitidos,
+        pipelineKentro: null,
         criadoEm: new Date().toISOString(),
         atualizadoEm: new Date().toISOString(),
         ativo: true
@@ -469,7 +1088,7 @@ function sincronizarAmbientesExistentes() {
         nome: novoAmbiente.nome,
         porta: novoAmbiente.porta,
         username: novoAmbiente.username,
-        password: `admin${ambienteDetectado.porta}` // Retornar senha padrão
+        mustChangePassword: true
       });
     }
   });
@@ -488,7 +1107,9 @@ function sincronizarAmbientesExistentes() {
     }
   });
   
-  saveDatabase(db);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
   
   return {
     success: true,
@@ -507,7 +1128,7 @@ function sincronizarAmbientesExistentes() {
  * Listar todos os perfis
  */
 function listPerfis() {
-  const db = loadDatabase();
+  const db = lerBanco();
   return db.perfis || [];
 }
 
@@ -515,8 +1136,7 @@ function listPerfis() {
  * Obter perfil por ID
  */
 function getPerfil(perfilId) {
-  const db = loadDatabase();
-  return db.perfis.find(p => p.id === perfilId);
+  return indices().perfisPorId.get(perfilId);
 }
 
 /**
@@ -534,28 +1154,7 @@ function createPerfil(nome, permissoes = {}) {
   const novoPerfil = {
     id: `perfil-${Date.now()}`,
     nome: nome,
-    permissoes: {
-      // Bancos
-      bancos_testarAPIs: permissoes.bancos_testarAPIs || false,
-      bancos_gerenciarCredenciais: permissoes.bancos_gerenciarCredenciais || false,
-      
-      // Ambientes
-      ambientes_visualizar: permissoes.ambientes_visualizar || false,
-      ambientes_sincronizar: permissoes.ambientes_sincronizar || false,
-      ambientes_reiniciar: permissoes.ambientes_reiniciar || false,
-      
-      // Gerenciar Ambientes
-      gerenciarAmbientes: permissoes.gerenciarAmbientes || false,
-      gerenciarAmbientes_definirBancos: permissoes.gerenciarAmbientes_definirBancos || false,
-      gerenciarAmbientes_nomearAmbiente: permissoes.gerenciarAmbientes_nomearAmbiente || false,
-      
-      // Outros
-      criarPerfis: permissoes.criarPerfis || false,
-      
-      // CLT
-      clt_consulta: permissoes.clt_consulta || false,
-      clt_lote: permissoes.clt_lote || false
-    },
+    permissoes: normalizarPermissoes(permissoes),
     criadoEm: new Date().toISOString(),
     atualizadoEm: new Date().toISOString(),
     ativo: true
@@ -566,7 +1165,9 @@ function createPerfil(nome, permissoes = {}) {
   }
   
   db.perfis.push(novoPerfil);
-  saveDatabase(db);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
   
   return {
     success: true,
@@ -596,7 +1197,7 @@ function updatePerfil(perfilId, dados) {
   }
   
   if (dados.permissoes !== undefined) {
-    perfil.permissoes = { ...perfil.permissoes, ...dados.permissoes };
+    perfil.permissoes = normalizarPermissoes({ ...perfil.permissoes, ...dados.permissoes });
   }
   
   if (dados.ativo !== undefined) {
@@ -604,7 +1205,9 @@ function updatePerfil(perfilId, dados) {
   }
   
   perfil.atualizadoEm = new Date().toISOString();
-  saveDatabase(db);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
   
   return {
     success: true,
@@ -613,9 +1216,9 @@ function updatePerfil(perfilId, dados) {
 }
 
 /**
- * Deletar perfil
+ * Deletar perfil (vai para a lixeira)
  */
-function deletePerfil(perfilId) {
+function deletePerfil(perfilId, opcoes = {}) {
   const db = loadDatabase();
   const index = db.perfis.findIndex(p => p.id === perfilId);
   
@@ -623,10 +1226,61 @@ function deletePerfil(perfilId) {
     return { success: false, error: 'Perfil não encontrado' };
   }
   
-  db.perfis.splice(index, 1);
-  saveDatabase(db);
+  // Logins com este perfil: bloquear, desativar ou reatribuir (opcoes.modo)
+  const exclusao = aplicarExclusao(db, 'perfil', perfilId, opcoes);
+  if (!exclusao.success) {
+    return exclusao;
+  }
+  
+  const [perfil] = db.perfis.splice(index, 1);
+  const item = adicionarNaLixeira(db, criarItemLixeira('perfil', perfil, {
+    excluidoPor: opcoes.excluidoPor,
+    dependentes: exclusao.afetados
+  }));
   
-  return { success: true };
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDosLogins(exclusao.afetados.logins, 'perfil excluído');
+  
+  return { success: true, lixeiraId: item.id, dependentes: exclusao.afetados };
+}
+
+/**
+ * Encerrar as sessões dos logins desativados ou reatribuídos
+ */
+function revogarSessoesDosLogins(loginIds, motivo) {
+  (loginIds || []).forEach(loginId => revogarSessoesDoSujeito('login', loginId, motivo));
+}
+
+/**
+ * Relatório de referências órfãs (logins e chaves de API apontando para perfis/ambientes inexistentes)
+ */
+function verificarIntegridadeBanco() {
+  return verificarIntegridade(lerBanco());
+}
+
+/**
+ * Corrigir referências órfãs
+ * @param {Object} opcoes - { modo: 'desativar'|'reatribuir', perfilDestino, ambienteDestino }
+ */
+function corrigirIntegridadeBanco(opcoes = {}) {
+  const db = loadDatabase();
+  const resultado = corrigirOrfaos(db, opcoes);
+  
+  if (!resultado.success || resultado.total === 0) {
+    return resultado;
+  }
+  
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  const loginsAfetados = resultado.corrigidos.filter(c => c.colecao === 'logins').map(c => c.id);
+  revogarSessoesDosLogins([...new Set(loginsAfetados)], 'referência corrigida');
+  
+  return resultado;
 }
 
 /**
@@ -654,7 +1308,7 @@ function authenticatePerfil(perfilId, username, password) {
  * Listar todos os logins
  */
 function listLogins() {
-  const db = loadDatabase();
+  const db = lerBanco();
   return db.logins || [];
 }
 
@@ -662,8 +1316,7 @@ function listLogins() {
  * Obter login por ID
  */
 function getLogin(loginId) {
-  const db = loadDatabase();
-  return db.logins.find(l => l.id === loginId);
+  return indices().loginsPorId.get(loginId);
 }
 
 /**
@@ -708,10 +1361,17 @@ function createLogin(username, password, ambienteId, perfilId = null) {
     }
   }
   
+  const forca = validarForcaSenha(password, { username: usernameNormalizado });
+  if (!forca.success) {
+    return forca;
+  }
+  
   const novoLogin = {
     id: `login-${Date.now()}`,
     username: usernameNormalizado, // Usar username normalizado
     passwordHash: hashPassword(password),
+    passwordHistory: [],
+    senhaAlteradaEm: new Date().toISOString(),
     ambienteId: ambienteId,
     perfilId: perfilIdNormalizado,
     criadoEm: new Date().toISOString(),
@@ -764,8 +1424,15 @@ function updateLogin(loginId, dados) {
     login.username = usernameNormalizado;
   }
   
+  // Alterações de senha, perfil ou status encerram as sessões abertas do login
+  let revogarSessoes = false;
+  
   if (dados.password !== undefined) {
-    login.passwordHash = hashPassword(dados.password);
+    const definida = definirSenha(login, dados.password);
+    if (!definida.success) {
+      return definida;
+    }
+    revogarSessoes = true;
   }
   
   if (dados.ambienteId !== undefined) {
@@ -783,15 +1450,27 @@ function updateLogin(loginId, dados) {
         return { success: false, error: 'Perfil não encontrado' };
       }
     }
+    if (dados.perfilId !== login.perfilId) {
+      revogarSessoes = true;
+    }
     login.perfilId = dados.perfilId;
   }
   
   if (dados.ativo !== undefined) {
+    if (dados.ativo !== login.ativo) {
+      revogarSessoes = true;
+    }
     login.ativo = dados.ativo;
   }
   
   login.atualizadoEm = new Date().toISOString();
-  saveDatabase(db);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  if (revogarSessoes) {
+    revogarSessoesDoSujeito('login', loginId, 'login alterado');
+  }
   
   return {
     success: true,
@@ -800,9 +1479,9 @@ function updateLogin(loginId, dados) {
 }
 
 /**
- * Deletar login
+ * Deletar login (vai para a lixeira)
  */
-function deleteLogin(loginId) {
+function deleteLogin(loginId, opcoes = {}) {
   const db = loadDatabase();
   const index = db.logins.findIndex(l => l.id === loginId);
   
@@ -810,49 +1489,349 @@ function deleteLogin(loginId) {
     return { success: false, error: 'Login não encontrado' };
   }
   
-  db.logins.splice(index, 1);
-  saveDatabase(db);
+  const [login] = db.logins.splice(index, 1);
+  const item = adicionarNaLixeira(db, criarItemLixeira('login', login, { excluidoPor: opcoes.excluidoPor }));
+  
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDoSujeito('login', loginId, 'login deletado');
+  
+  return { success: true, lixeiraId: item.id };
+}
+
+/**
+ * Usernames que já existiriam ao copiar os logins de um ambiente com o sufixo
+ */
+function conflitosLoginsClonados(ambienteOrigemId, sufixo, db = lerBanco()) {
+  const existentes = new Set((db.logins || []).map(l => l.username.toLowerCase()));
+  
+  return (db.logins || [])
+    .filter(l => l.ambienteId === ambienteOrigemId)
+    .map(l => `${l.username}${sufixo}`)
+    .filter(username => existentes.has(username.toLowerCase()));
+}
+
+/**
+ * Copiar os logins de um ambiente para outro (usernames recebem o sufixo, ex: joao -> joao-5001)
+ * A senha e o perfil são mantidos; o 2FA não é copiado
+ */
+function clonarLoginsAmbiente(ambienteOrigemId, ambienteDestinoId, sufixo) {
+  const db = loadDatabase();
+  
+  if (!db.ambientes.find(a => a.id === ambienteDestinoId)) {
+    return { success: false, error: 'Ambiente não encontrado' };
+  }
+  
+  const conflitos = conflitosLoginsClonados(ambienteOrigemId, sufixo, db);
+  if (conflitos.length > 0) {
+    return {
+      success: false,
+      error: `Logins já existentes: ${conflitos.join(', ')}`,
+      errorCode: 'LOGIN_CONFLICT',
+      conflitos
+    };
+  }
+  
+  const agora = new Date().toISOString();
+  const ids = new Set(db.logins.map(l => l.id));
+  let sequencia = Date.now();
+  
+  const copias = db.logins.filter(l => l.ambienteId === ambienteOrigemId).map(login => {
+    let id = `login-${sequencia++}`;
+    while (ids.has(id)) {
+      id = `login-${sequencia++}`;
+    }
+    ids.add(id);
+  
+    return {
+      id,
+      username: `${login.username}${sufixo}`,
+      passwordHash: login.passwordHash,
+      passwordHistory: structuredClone(login.passwordHistory || []),
+      senhaAlteradaEm: login.senhaAlteradaEm || agora,
+      ambienteId: ambienteDestinoId,
+      perfilId: login.perfilId || null,
+      criadoEm: agora,
+      atualizadoEm: agora,
+      ativo: login.ativo,
+      clonadoDe: login.id
+    };
+  });
+  
+  db.logins.push(...copias);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  return {
+    success: true,
+    logins: copias.map(l => ({ id: l.id, username: l.username, perfilId: l.perfilId, clonadoDe: l.clonadoDe }))
+  };
+}
+
+/**
+ * Remover definitivamente um ambiente recém-criado (desfazer provisionamento; não passa pela lixeira)
+ */
+function descartarAmbiente(ambienteId) {
+  const db = loadDatabase();
+  const index = db.ambientes.findIndex(a => a.id === ambienteId);
+  
+  if (index === -1) {
+    return { success: false, error: 'Ambiente não encontrado' };
+  }
+  
+  db.ambientes.splice(index, 1);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
   
   return { success: true };
 }
 
+/**
+ * Remover definitivamente logins recém-criados (desfazer provisionamento; não passa pela lixeira)
+ */
+function descartarLogins(loginIds) {
+  const db = loadDatabase();
+  const ids = new Set(loginIds);
+  
+  db.logins = db.logins.filter(l => !ids.has(l.id));
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Exportar configuração (ambientes, perfis, logins e bancos disponíveis)
+ * @param {Object} opcoes - { incluirSenhas, exportadoPor }
+ */
+function exportarConfiguracaoBanco(opcoes = {}) {
+  return exportarConfiguracao(lerBanco(), opcoes);
+}
+
+/**
+ * Importar pacote de configuração
+ * Nada é gravado em simulação nem se houver erros ou conflitos
+ * @param {Object} opcoes - { modo: 'mesclar'|'substituir', simular, importadoPor }
+ */
+function importarConfiguracaoBanco(pacote, { modo = 'mesclar', simular = false, importadoPor = null } = {}) {
+  const db = loadDatabase();
+  const relatorio = planejarImportacao(db, pacote, {
+    modo,
+    // Registros sem hash recebem uma senha aleatória (a simulação não precisa calculá-la)
+    gerarHashSenha: simular ? () => null : () => hashPassword(gerarSenhaAleatoria())
+  });
+  
+  const resposta = {
+    modo,
+    simulacao: !!simular,
+    resumo: relatorio.resumo,
+    conflitos: relatorio.conflitos,
+    erros: relatorio.erros,
+    senhasPendentes: relatorio.senhasPendentes,
+    removidos: relatorio.removidos.map(({ tipo, registro }) => ({ tipo, id: registro.id, nome: registro.nome || registro.username }))
+  };
+  
+  if (relatorio.erros.length > 0) {
+    return { success: false, error: 'Pacote de importação inválido', errorCode: 'IMPORT_INVALID', ...resposta };
+  }
+  if (relatorio.conflitos.length > 0) {
+    return { success: false, error: 'O pacote conflita com registros existentes', errorCode: 'IMPORT_CONFLICT', ...resposta };
+  }
+  
+  // Chaves de API que ficariam apontando para ambientes removidos
+  resposta.orfaos = verificarIntegridade(db).orfaos;
+  
+  if (simular) {
+    return { success: true, ...resposta };
+  }
+  
+  // Registros removidos pelo modo substituir continuam restauráveis pela lixeira
+  relatorio.removidos.forEach(({ tipo, registro }) => {
+    adicionarNaLixeira(db, criarItemLixeira(tipo, registro, { excluidoPor: importadoPor }));
+  });
+  
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDosLogins(relatorio.loginsAlterados, 'configuração importada');
+  
+  return { success: true, ...resposta };
+}
+
+/**
+ * Listar itens da lixeira (mais recentes primeiro)
+ * @param {string} tipo - filtrar por ambiente, perfil ou login (opcional)
+ */
+function listarLixeira(tipo = null) {
+  return (lerBanco().lixeira || [])
+    .filter(item => !tipo || item.tipo === tipo)
+    .map(sanitizarItemLixeira)
+    .sort((a, b) => b.excluidoEm.localeCompare(a.excluidoEm));
+}
+
+/**
+ * Verificar se o registro pode voltar para a coleção de origem
+ * @returns {Object|null} Erro ou null
+ */
+function conflitoRestauracao(db, item) {
+  const { registro } = item;
+  
+  if (db[TIPOS_LIXEIRA[item.tipo]].some(r => r.id === registro.id)) {
+    return { error: 'Já existe um registro com o mesmo ID', errorCode: 'ALREADY_EXISTS' };
+  }
+  
+  if (item.tipo === 'ambiente') {
+    if (db.ambientes.some(a => a.porta === registro.porta)) {
+      return { error: `A porta ${registro.porta} está em uso por outro ambiente`, errorCode: 'PORT_IN_USE' };
+    }
+    if (item.pastaQuarentena && fs.existsSync(item.pastaOriginal)) {
+      return { error: `A pasta ${item.pastaOriginal} já existe`, errorCode: 'PATH_EXISTS' };
+    }
+  }
+  
+  if (item.tipo === 'perfil' && db.perfis.some(p => p.nome === registro.nome)) {
+    return { error: `Perfil "${registro.nome}" já existe`, errorCode: 'ALREADY_EXISTS' };
+  }
+  
+  if (item.tipo === 'login') {
+    const username = (registro.username || '').toLowerCase();
+    if (db.logins.some(l => l.username && l.username.toLowerCase() === username)) {
+      return { error: `Login "${registro.username}" já existe`, errorCode: 'ALREADY_EXISTS' };
+    }
+    if (registro.ambienteId && !db.ambientes.some(a => a.id === registro.ambienteId)) {
+      return { error: 'O ambiente do login não existe: restaure-o primeiro', errorCode: 'DEPENDENCY_MISSING' };
+    }
+    if (registro.perfilId && !db.perfis.some(p => p.id === registro.perfilId)) {
+      return { error: 'O perfil do login não existe: restaure-o primeiro', errorCode: 'DEPENDENCY_MISSING' };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Restaurar item da lixeira (ambientes voltam com a pasta da quarentena)
+ */
+function restaurarDaLixeira(itemId) {
+  const db = loadDatabase();
+  const lixeira = db.lixeira || [];
+  const index = lixeira.findIndex(i => i.id === itemId);
+  
+  if (index === -1) {
+    return { success: false, error: 'Item não encontrado na lixeira', errorCode: 'TRASH_ITEM_NOT_FOUND' };
+  }
+  
+  const item = lixeira[index];
+  const conflito = conflitoRestauracao(db, item);
+  if (conflito) {
+    return { success: false, ...conflito };
+  }
+  
+  let pastaRestaurada = false;
+  if (item.pastaQuarentena) {
+    try {
+      pastaRestaurada = restaurarPasta(item.pastaQuarentena, item.pastaOriginal);
+    } catch (error) {
+      return { success: false, error: `Erro ao restaurar pasta do ambiente: ${error.message}`, errorCode: 'FOLDER_RESTORE_ERROR' };
+    }
+  }
+  
+  db[TIPOS_LIXEIRA[item.tipo]].push({ ...item.registro, atualizadoEm: new Date().toISOString() });
+  lixeira.splice(index, 1);
+  
+  if (!saveDatabase(db)) {
+    if (pastaRestaurada) {
+      devolverPasta(item.pastaOriginal, item.pastaQuarentena);
+    }
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  return { success: true, tipo: item.tipo, registro: sanitizarItemLixeira(item).registro, pastaRestaurada };
+}
+
+/**
+ * Excluir definitivamente itens da lixeira (e as pastas em quarentena)
+ * Sem itemId, remove os itens cuja retenção expirou
+ */
+function expurgarLixeira(itemId = null) {
+  const db = loadDatabase();
+  const agora = Date.now();
+  const remover = (db.lixeira || []).filter(item => (itemId ? item.id === itemId : itemExpirado(item, agora)));
+  
+  if (itemId && remover.length === 0) {
+    return { success: false, error: 'Item não encontrado na lixeira', errorCode: 'TRASH_ITEM_NOT_FOUND' };
+  }
+  
+  if (remover.length === 0) {
+    return { success: true, removidos: [] };
+  }
+  
+  db.lixeira = db.lixeira.filter(item => !remover.includes(item));
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  // Pastas apagadas só depois da gravação: se ela falhar, o item continua restaurável
+  remover.forEach(item => {
+    try {
+      removerPasta(item.pastaQuarentena);
+    } catch (error) {
+      console.error(`❌ Erro ao apagar pasta em quarentena ${item.pastaQuarentena}:`, error.message);
+    }
+  });
+  
+  return { success: true, removidos: remover.map(item => item.id) };
+}
+
 /**
  * Autenticar com login
  */
 function authenticateLogin(username, password) {
-  const db = loadDatabase();
+  const { loginsPorUsername, perfisPorId, ambientesPorId } = indices();
   
   // Normalizar username para busca case-insensitive
   const usernameNormalizado = username ? username.trim().toLowerCase() : '';
   
   // Primeiro, buscar login pelo username (sem verificar ativo ainda) - case-insensitive
-  const login = db.logins.find(l => l.username && l.username.toLowerCase() === usernameNormalizado);
+  const login = loginsPorUsername.get(usernameNormalizado);
   
   if (!login) {
+    verificarSenhaFicticia(password);
     return { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
   }
   
+  // Verificar senha antes do status, para não revelar informações da conta
+  if (!verifyPassword(password, login.passwordHash)) {
+    return { success: false, error: 'Senha incorreta', errorCode: 'INVALID_PASSWORD' };
+  }
+  
   // Verificar se está ativo
   if (!login.ativo) {
     return { success: false, error: 'Usuário inativo', errorCode: 'USER_INACTIVE' };
   }
   
-  // Verificar senha
-  if (!verifyPassword(password, login.passwordHash)) {
-    return { success: false, error: 'Senha incorreta', errorCode: 'INVALID_PASSWORD' };
-  }
+  rehashSeNecessario(db => db.logins, login.id, password, login.passwordHash);
   
   // Buscar perfil associado
   let perfil = null;
   if (login.perfilId) {
-    perfil = db.perfis.find(p => p.id === login.perfilId);
-    if (perfil && !perfil.ativo) {
+    perfil = perfisPorId.get(login.perfilId);
+    if (!perfil) {
+      return { success: false, error: 'Perfil associado não encontrado', errorCode: 'PERFIL_NOT_FOUND' };
+    }
+    if (!perfil.ativo) {
       return { success: false, error: 'Perfil associado está inativo', errorCode: 'PERFIL_INACTIVE' };
     }
   }
   
   // Buscar ambiente
-  const ambiente = db.ambientes.find(a => a.id === login.ambienteId);
+  const ambiente = ambientesPorId.get(login.ambienteId);
   if (!ambiente) {
     return { success: false, error: 'Ambiente associado não encontrado', errorCode: 'AMBIENTE_NOT_FOUND' };
   }
@@ -861,6 +1840,16 @@ function authenticateLogin(username, password) {
     return { success: false, error: 'Ambiente associado está inativo', errorCode: 'AMBIENTE_INACTIVE' };
   }
   
+  // Senha correta porém vencida: apenas a troca de senha é permitida
+  if (senhaExpirada(login)) {
+    return {
+      success: false,
+      error: 'Senha expirada. É necessário definir uma nova senha.',
+      errorCode: 'PASSWORD_EXPIRED',
+      login: { id: login.id, username: login.username }
+    };
+  }
+  
   return {
     success: true,
     login: login,
@@ -869,19 +1858,251 @@ function authenticateLogin(username, password) {
   };
 }
 
+/**
+ * Trocar senha de login (usado após PASSWORD_EXPIRED)
+ * A senha atual já foi validada na etapa de login
+ */
+function changeLoginPassword(loginId, novaSenha) {
+  const db = loadDatabase();
+  const login = db.logins.find(l => l.id === loginId);
+  
+  if (!login) {
+    return { success: false, error: 'Login não encontrado', errorCode: 'USER_NOT_FOUND' };
+  }
+  
+  const definida = definirSenha(login, novaSenha);
+  if (!definida.success) {
+    return definida;
+  }
+  
+  login.atualizadoEm = new Date().toISOString();
+  
+  const saved = saveDatabase(db);
+  if (!saved) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDoSujeito('login', loginId, 'senha alterada');
+  
+  return { success: true };
+}
+
+/**
+ * ============================================
+ * FUNÇÕES DE USUÁRIOS ADMIN
+ * ============================================
+ */
+
+/**
+ * Remover dados sensíveis do usuário admin
+ */
+function sanitizarAdminUsuario(usuario) {
+  return {
+    id: usuario.id,
+    username: usuario.username,
+    role: usuario.role,
+    ativo: usuario.ativo !== false,
+    mustChangePassword: !!usuario.mustChangePassword,
+    twoFactorAtivo: !!(usuario.twoFactor && usuario.twoFactor.ativo),
+    criadoEm: usuario.criadoEm,
+    atualizadoEm: usuario.atualizadoEm || null
+  };
+}
+
+/**
+ * Contar admins ativos, desconsiderando um usuário
+ */
+function contarOutrosAdminsAtivos(db, usuarioId) {
+  return db.admin.usuarios.filter(u => u.id !== usuarioId && u.role === 'admin' && u.ativo !== false).length;
+}
+
+/**
+ * Listar usuários admin
+ */
+function listAdminUsuarios() {
+  const db = lerBanco();
+  return db.admin.usuarios.map(sanitizarAdminUsuario);
+}
+
+/**
+ * Obter usuário admin por ID
+ */
+function getAdminUsuario(usuarioId) {
+  return indices().adminsPorId.get(usuarioId);
+}
+
+/**
+ * Criar novo usuário admin
+ */
+function createAdminUsuario(username, password, role = 'admin') {
+  const db = loadDatabase();
+  
+  const usernameNormalizado = username ? username.trim() : '';
+  if (!usernameNormalizado) {
+    return { success: false, error: 'Username não pode ser vazio' };
+  }
+  
+  const usuarioExistente = db.admin.usuarios.find(u => u.username.toLowerCase() === usernameNormalizado.toLowerCase());
+  if (usuarioExistente) {
+    return { success: false, error: `Usuário "${usernameNormalizado}" já existe` };
+  }
+  
+  const forca = validarForcaSenha(password, { username: usernameNormalizado });
+  if (!forca.success) {
+    return forca;
+  }
+  
+  const novoUsuario = {
+    id: `admin-${Date.now()}`,
+    username: usernameNormalizado,
+    passwordHash: hashPassword(password),
+    passwordHistory: [],
+    senhaAlteradaEm: new Date().toISOString(),
+    role: role,
+    mustChangePassword: false,
+    ativo: true,
+    criadoEm: new Date().toISOString(),
+    atualizadoEm: new Date().toISOString()
+  };
+  
+  db.admin.usuarios.push(novoUsuario);
+  const saved = saveDatabase(db);
+  
+  if (!saved) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  return { success: true, usuario: sanitizarAdminUsuario(novoUsuario) };
+}
+
+/**
+ * Atualizar usuário admin (ativar/desativar)
+ */
+function updateAdminUsuario(usuarioId, dados) {
+  const db = loadDatabase();
+  const usuario = db.admin.usuarios.find(u => u.id === usuarioId);
+  
+  if (!usuario) {
+    return { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
+  }
+  
+  if (dados.ativo !== undefined) {
+    if (!dados.ativo && contarOutrosAdminsAtivos(db, usuarioId) === 0) {
+      return { success: false, error: 'Não é possível desativar o último admin ativo', errorCode: 'LAST_ADMIN' };
+    }
+    usuario.ativo = !!dados.ativo;
+  }
+  
+  usuario.atualizadoEm = new Date().toISOString();
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  if (usuario.ativo === false) {
+    revogarSessoesDoSujeito('admin', usuarioId, 'usuário desativado');
+  }
+  
+  return { success: true, usuario: sanitizarAdminUsuario(usuario) };
+}
+
+/**
+ * Deletar usuário admin
+ */
+function deleteAdminUsuario(usuarioId) {
+  const db = loadDatabase();
+  const index = db.admin.usuarios.findIndex(u => u.id === usuarioId);
+  
+  if (index === -1) {
+    return { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
+  }
+  
+  if (contarOutrosAdminsAtivos(db, usuarioId) === 0) {
+    return { success: false, error: 'Não é possível deletar o último admin ativo', errorCode: 'LAST_ADMIN' };
+  }
+  
+  db.admin.usuarios.splice(index, 1);
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDoSujeito('admin', usuarioId, 'usuário deletado');
+  
+  return { success: true };
+}
+
+/**
+ * Alterar a própria senha do usuário admin
+ * As demais sessões do usuário são encerradas (exceto sessaoAtualId)
+ */
+function changeAdminPassword(usuarioId, senhaAtual, novaSenha, sessaoAtualId = null) {
+  const db = loadDatabase();
+  const usuario = db.admin.usuarios.find(u => u.id === usuarioId);
+  
+  if (!usuario) {
+    return { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
+  }
+  
+  if (!verifyPassword(senhaAtual, usuario.passwordHash)) {
+    return { success: false, error: 'Senha atual incorreta', errorCode: 'INVALID_PASSWORD' };
+  }
+  
+  if (!novaSenha || novaSenha === senhaAtual || novaSenha === SENHA_PADRAO_ADMIN) {
+    return { success: false, error: 'A nova senha deve ser diferente da atual e da senha padrão', errorCode: 'INVALID_NEW_PASSWORD' };
+  }
+  
+  const definida = definirSenha(usuario, novaSenha);
+  if (!definida.success) {
+    return definida;
+  }
+  
+  usuario.mustChangePassword = false;
+  usuario.atualizadoEm = new Date().toISOString();
+  if (!saveDatabase(db)) {
+    return { success: false, error: 'Erro ao salvar banco de dados', errorCode: 'DB_SAVE_ERROR' };
+  }
+  
+  revogarSessoesDoSujeito('admin', usuarioId, 'senha alterada', sessaoAtualId);
+  
+  return { success: true, usuario: sanitizarAdminUsuario(usuario) };
+}
+
 module.exports = {
   getDatabase,
+  restaurarBanco,
+  verificarIntegridadeBanco,
+  corrigirIntegridadeBanco,
+  listarLixeira,
+  restaurarDaLixeira,
+  expurgarLixeira,
+  exportarConfiguracaoBanco,
+  importarConfiguracaoBanco,
+  statusBanco,
+  emRecuperacao,
+  recuperarBanco,
   updateDatabase,
   authenticateAdmin,
+  // Usuários admin
+  listAdminUsuarios,
+  getAdminUsuario,
+  createAdminUsuario,
+  updateAdminUsuario,
+  deleteAdminUsuario,
+  changeAdminPassword,
   createAmbiente,
   listAmbientes,
   getAmbiente,
+  getAmbientePorPorta,
+  proximaPortaAmbiente,
+  verificarPortaAmbiente,
   updateBancosPermitidos,
   updateAmbiente,
   authenticateAmbiente,
+  changeAmbientePassword,
+  resetAmbientePassword,
   getBancosDisponiveis,
   updateBancosDisponiveis,
   deleteAmbiente,
+  descartarAmbiente,
   sincronizarAmbientesExistentes,
   hashPassword,
   verifyPassword,
@@ -898,5 +2119,9 @@ module.exports = {
   createLogin,
   updateLogin,
   deleteLogin,
-  authenticateLogin
+  conflitosLoginsClonados,
+  clonarLoginsAmbiente,
+  descartarLogins,
+  authenticateLogin,
+  changeLoginPassword
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Recuperação do Banco de Dados
+ * Validação da estrutura, preservação de arquivos corrompidos e busca do último snapshot válido
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listarSnapshots, lerSnapshot } = require('./snapshots');
+
+const CORROMPIDOS_DIR = path.join(__dirname, '..', 'data', 'corrompidos');
+
+/**
+ * Verificar se o documento tem a estrutura mínima do banco
+ * @returns {string|null} Descrição do problema ou null se válido
+ */
+function validarEstrutura(documento) {
+  if (!documento || typeof documento !== 'object' || Array.isArray(documento)) {
+    return 'o conteúdo não é um objeto';
+  }
+  if (!documento.admin || !Array.isArray(documento.admin.usuarios)) {
+    return 'admin.usuarios ausente ou inválido';
+  }
+
+  const colecaoInvalida = ['ambientes', 'perfis', 'logins', 'bancosDisponiveis', 'apiKeys', 'lixeira']
+    .find(colecao => documento[colecao] !== undefined && !Array.isArray(documento[colecao]));
+  if (colecaoInvalida) {
+    return `${colecaoInvalida} não é uma lista`;
+  }
+  if (!Array.isArray(documento.ambientes)) {
+    return 'ambientes ausente';
+  }
+
+  return null;
+}
+
+/**
+ * Copiar o arquivo do banco corrompido para data/corrompidos (o original não é alterado)
+ * @returns {string|null} Caminho da cópia
+ */
+function preservarArquivoCorrompido(arquivo) {
+  if (!arquivo || !fs.existsSync(arquivo)) {
+    return null;
+  }
+
+  if (!fs.existsSync(CORROMPIDOS_DIR)) {
+    fs.mkdirSync(CORROMPIDOS_DIR, { recursive: true });
+  }
+
+  const carimbo = new Date().toISOString().replace(/[:.]/g, '-');
+  const destino = path.join(CORROMPIDOS_DIR, `${path.basename(arquivo)}.${carimbo}`);
+  fs.copyFileSync(arquivo, destino);
+  fs.chmodSync(destino, 0o600);
+
+  return destino;
+}
+
+/**
+ * Localizar o snapshot válido mais recente
+ * @returns {Object|null} { id, documento }
+ */
+function ultimoSnapshotValido() {
+  for (const snapshot of listarSnapshots()) {
+    try {
+      const documento = lerSnapshot(snapshot.id);
+      if (documento && !validarEstrutura(documento)) {
+        return { id: snapshot.id, documento };
+      }
+    } catch (error) {
+      // Snapshot ilegível: tentar o anterior
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  CORROMPIDOS_DIR,
+  validarEstrutura,
+  preservarArquivoCorrompido,
+  ultimoSnapshotValido
+};
@@ -0,0 +1,144 @@
+/**
+ * Proteção contra Força Bruta
+ * Contabiliza falhas de login por usuário e por IP, aplicando atraso progressivo e bloqueio temporário
+ */
+
+const MAX_FALHAS_USUARIO = parseInt(process.env.LOGIN_MAX_FALHAS_USUARIO) || 5;
+const MAX_FALHAS_IP = parseInt(process.env.LOGIN_MAX_FALHAS_IP) || 20;
+const BLOQUEIO_MS = (parseInt(process.env.LOGIN_BLOQUEIO_MINUTOS) || 15) * 60 * 1000;
+const JANELA_MS = (parseInt(process.env.LOGIN_JANELA_MINUTOS) || 15) * 60 * 1000;
+const ATRASO_BASE_MS = 1000;
+const ATRASO_MAXIMO_MS = 30 * 1000;
+
+// chave -> { chave, tipo, falhas, primeiraFalha, ultimaFalha, proximaTentativa, bloqueadoAte }
+const registros = new Map();
+
+/**
+ * Montar as chaves de controle de uma tentativa
+ * @param {string} escopo - origem do login (ex: 'admin', 'ambiente:{id}')
+ */
+function montarChaves(escopo, username, ip) {
+  const chaves = [];
+  if (username) {
+    chaves.push({ chave: `${escopo}:usuario:${String(username).trim().toLowerCase()}`, tipo: 'usuario', limite: MAX_FALHAS_USUARIO });
+  }
+  if (ip) {
+    chaves.push({ chave: `ip:${ip}`, tipo: 'ip', limite: MAX_FALHAS_IP });
+  }
+  return chaves;
+}
+
+/**
+ * Obter registro ativo (descarta registros expirados)
+ */
+function obterRegistro(chave, agora = Date.now()) {
+  const registro = registros.get(chave);
+  if (!registro) {
+    return null;
+  }
+
+  const bloqueioExpirado = !registro.bloqueadoAte || registro.bloqueadoAte <= agora;
+  if (bloqueioExpirado && agora - registro.ultimaFalha > JANELA_MS) {
+    registros.delete(chave);
+    return null;
+  }
+
+  return registro;
+}
+
+/**
+ * Verificar se a tentativa de login está bloqueada
+ * @returns {{ bloqueado: boolean, retryAfter?: number }} retryAfter em segundos
+ */
+function verificarBloqueio(escopo, username, ip) {
+  const agora = Date.now();
+  let liberadoEm = 0;
+
+  montarChaves(escopo, username, ip).forEach(({ chave }) => {
+    const registro = obterRegistro(chave, agora);
+    if (!registro) {
+      return;
+    }
+    liberadoEm = Math.max(liberadoEm, registro.bloqueadoAte || 0, registro.proximaTentativa || 0);
+  });
+
+  if (liberadoEm > agora) {
+    return { bloqueado: true, retryAfter: Math.ceil((liberadoEm - agora) / 1000) };
+  }
+
+  return { bloqueado: false };
+}
+
+/**
+ * Registrar falha de login
+ */
+function registrarFalha(escopo, username, ip) {
+  const agora = Date.now();
+
+  montarChaves(escopo, username, ip).forEach(({ chave, tipo, limite }) => {
+    const registro = obterRegistro(chave, agora) || { chave, tipo, falhas: 0, primeiraFalha: agora };
+
+    registro.falhas++;
+    registro.ultimaFalha = agora;
+
+    // Atraso progressivo por usuário a partir da 2ª falha: 1s, 2s, 4s, ... até 30s
+    // (IPs compartilhados por vários usuários só são bloqueados ao atingir o limite)
+    if (tipo === 'usuario' && registro.falhas >= 2) {
+      const atraso = Math.min(ATRASO_BASE_MS * Math.pow(2, registro.falhas - 2), ATRASO_MAXIMO_MS);
+      registro.proximaTentativa = agora + atraso;
+    }
+
+    if (registro.falhas >= limite) {
+      registro.bloqueadoAte = agora + BLOQUEIO_MS;
+    }
+
+    registros.set(chave, registro);
+  });
+}
+
+/**
+ * Registrar login bem-sucedido (zera o contador do usuário)
+ */
+function registrarSucesso(escopo, username) {
+  montarChaves(escopo, username, null).forEach(({ chave }) => registros.delete(chave));
+}
+
+/**
+ * Listar contas e IPs com falhas registradas
+ */
+function listarBloqueios() {
+  const agora = Date.now();
+  const lista = [];
+
+  Array.from(registros.keys()).forEach(chave => {
+    const registro = obterRegistro(chave, agora);
+    if (!registro) {
+      return;
+    }
+    lista.push({
+      chave: registro.chave,
+      tipo: registro.tipo,
+      falhas: registro.falhas,
+      bloqueado: !!registro.bloqueadoAte && registro.bloqueadoAte > agora,
+      bloqueadoAte: registro.bloqueadoAte ? new Date(registro.bloqueadoAte).toISOString() : null,
+      ultimaFalha: new Date(registro.ultimaFalha).toISOString()
+    });
+  });
+
+  return lista;
+}
+
+/**
+ * Liberar conta ou IP bloqueado
+ */
+function liberarBloqueio(chave) {
+  return registros.delete(chave);
+}
+
+module.exports = {
+  verificarBloqueio,
+  registrarFalha,
+  registrarSucesso,
+  listarBloqueios,
+  liberarBloqueio
+};
@@ -0,0 +1,246 @@
+/**
+ * Migrações do Banco de Dados
+ * Atualiza bancos gravados por versões anteriores para o schema atual
+ *
+ * Cada migração leva o banco para a versão indicada e deve ser idempotente
+ * (pode ser reaplicada sem efeito sobre dados já normalizados)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizarPermissoes } = require('./permissoes');
+
+const BACKUP_DIR = path.join(__dirname, '..', 'data', 'backups');
+
+/**
+ * Migrações em ordem crescente de versão
+ */
+const MIGRACOES = [
+  {
+    versao: '1.1.0',
+    descricao: 'Garantir coleções e campos obrigatórios dos ambientes',
+    migrar(db) {
+      db.admin = db.admin || {};
+      db.admin.usuarios = db.admin.usuarios || [];
+      ['perfis', 'logins', 'ambientes', 'bancosDisponiveis', 'apiKeys'].forEach(colecao => {
+        if (!Array.isArray(db[colecao])) {
+          db[colecao] = [];
+        }
+      });
+      if (db.ultimaSincronizacao === undefined) {
+        db.ultimaSincronizacao = null;
+      }
+
+      db.ambientes.forEach(ambiente => {
+        // Ambientes registrados pela sincronização não tinham pipelineKentro
+        if (ambiente.pipelineKentro === undefined) {
+          ambiente.pipelineKentro = null;
+        }
+        if (!Array.isArray(ambiente.bancosPermitidos)) {
+          ambiente.bancosPermitidos = [];
+        }
+        if (!ambiente.path && ambiente.porta) {
+          ambiente.path = `rota-${ambiente.porta}.producao`;
+        }
+        if (typeof ambiente.ativo !== 'boolean') {
+          ambiente.ativo = ambiente.ativo !== false;
+        }
+        ambiente.criadoEm = ambiente.criadoEm || new Date().toISOString();
+        ambiente.atualizadoEm = ambiente.atualizadoEm || ambiente.criadoEm;
+      });
+    }
+  },
+  {
+    versao: '1.2.0',
+    descricao: 'Normalizar permissões dos perfis',
+    migrar(db) {
+      db.perfis.forEach(perfil => {
+        // Formato antigo: lista com as permissões concedidas
+        let permissoes = perfil.permissoes || {};
+        if (Array.isArray(permissoes)) {
+          permissoes = permissoes.reduce((mapa, permissao) => ({ ...mapa, [permissao]: true }), {});
+        }
+
+        // Formato antigo agrupado ({ bancos: { testarAPIs: true } }) vira chaves planas (bancos_testarAPIs)
+        // e valores gravados como texto ("true"/"false") viram booleanos
+        const convertidas = {};
+        const converter = valor => valor === true || valor === 'true' || valor === 1;
+        Object.keys(permissoes).forEach(chave => {
+          const valor = permissoes[chave];
+          if (valor && typeof valor === 'object') {
+            Object.keys(valor).forEach(subchave => {
+              convertidas[`${chave}_${subchave}`] = converter(valor[subchave]);
+            });
+          } else {
+            convertidas[chave] = converter(valor);
+          }
+        });
+
+        // Chaves que não existem mais são descartadas
+        perfil.permissoes = normalizarPermissoes(convertidas);
+
+        if (typeof perfil.ativo !== 'boolean') {
+          perfil.ativo = perfil.ativo !== false;
+        }
+      });
+    }
+  },
+  {
+    versao: '1.3.0',
+    descricao: 'Normalizar logins e usuários admin',
+    migrar(db) {
+      db.logins.forEach(login => {
+        if (typeof login.ativo !== 'boolean') {
+          login.ativo = login.ativo !== false;
+        }
+        if (!login.perfilId) {
+          login.perfilId = null;
+        }
+      });
+
+      db.admin.usuarios.forEach(usuario => {
+        usuario.role = usuario.role || 'admin';
+        if (typeof usuario.ativo !== 'boolean') {
+          usuario.ativo = usuario.ativo !== false;
+        }
+        usuario.mustChangePassword = !!usuario.mustChangePassword;
+      });
+    }
+  },
+  {
+    versao: '1.4.0',
+    descricao: 'Criar lixeira',
+    migrar(db) {
+      if (!Array.isArray(db.lixeira)) {
+        db.lixeira = [];
+      }
+    }
+  },
+  {
+    versao: '1.5.0',
+    descricao: 'Registrar data de troca de senha dos registros existentes',
+    migrar(db) {
+      // Sem a data, a validade contaria desde a criação e senhas antigas expirariam na atualização
+      const agora = new Date().toISOString();
+      [db.logins, db.admin.usuarios, db.ambientes].forEach(registros => {
+        registros.forEach(registro => {
+          if (!registro.senhaAlteradaEm) {
+            registro.senhaAlteradaEm = agora;
+          }
+        });
+      });
+    }
+  }
+];
+
+const VERSAO_SCHEMA = MIGRACOES[MIGRACOES.length - 1].versao;
+
+/**
+ * Comparar versões no formato x.y.z
+ * @returns {number} negativo se a < b, 0 se iguais, positivo se a > b
+ */
+function compararVersoes(a, b) {
+  const partesA = String(a || '0').split('.').map(n => parseInt(n) || 0);
+  const partesB = String(b || '0').split('.').map(n => parseInt(n) || 0);
+
+  for (let i = 0; i < Math.max(partesA.length, partesB.length); i++) {
+    const diferenca = (partesA[i] || 0) - (partesB[i] || 0);
+    if (diferenca !== 0) {
+      return diferenca;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Migrações pendentes para a versão informada
+ */
+function migracoesPendentes(versao) {
+  return MIGRACOES.filter(m => compararVersoes(m.versao, versao) > 0);
+}
+
+/**
+ * Gravar cópia do banco antes de migrar
+ */
+function gravarBackup(db) {
+  if (!fs.existsSync(BACKUP_DIR)) {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  }
+
+  const carimbo = new Date().toISOString().replace(/[:.]/g, '-');
+  const arquivo = path.join(BACKUP_DIR, `database-v${db.version || '0'}-${carimbo}.json`);
+  fs.writeFileSync(arquivo, JSON.stringify(db, null, 2), { encoding: 'utf8', mode: 0o600 });
+
+  return arquivo;
+}
+
+/**
+ * Aplicar as migrações pendentes a um documento (alterado no próprio objeto)
+ * Recusa documentos gravados por uma versão mais nova do sistema
+ */
+function migrarDocumento(db) {
+  const versaoOrigem = db.version || '1.0.0';
+
+  if (compararVersoes(versaoOrigem, VERSAO_SCHEMA) > 0) {
+    return {
+      success: false,
+      error: `Banco de dados na versão ${versaoOrigem}, mais nova que a suportada (${VERSAO_SCHEMA}). Atualize o sistema.`,
+      errorCode: 'SCHEMA_TOO_NEW'
+    };
+  }
+
+  const pendentes = migracoesPendentes(versaoOrigem);
+
+  pendentes.forEach(migracao => {
+    migracao.migrar(db);
+    db.version = migracao.versao;
+    db.migracoes = db.migracoes || [];
+    db.migracoes.push({ versao: migracao.versao, descricao: migracao.descricao, aplicadaEm: new Date().toISOString() });
+    console.log(`🔄 Migração ${migracao.versao} aplicada: ${migracao.descricao}`);
+  });
+
+  return {
+    success: true,
+    versaoAnterior: versaoOrigem,
+    versao: db.version || versaoOrigem,
+    aplicadas: pendentes.map(m => m.versao)
+  };
+}
+
+/**
+ * Aplicar migrações pendentes ao banco gravado (executado na inicialização do servidor)
+ */
+function executarMigracoes() {
+  const { getDatabase, updateDatabase, emRecuperacao } = require('./database');
+
+  // Banco ilegível: as migrações são aplicadas ao documento usado na recuperação
+  if (emRecuperacao()) {
+    return { success: true, versao: VERSAO_SCHEMA, aplicadas: [], recuperacao: true };
+  }
+
+  const versaoAtual = getDatabase().version || '1.0.0';
+
+  if (compararVersoes(versaoAtual, VERSAO_SCHEMA) >= 0) {
+    // Versão atual ou mais nova (recusada por migrarDocumento)
+    return migrarDocumento({ version: versaoAtual });
+  }
+
+  let resultado = null;
+
+  // Backup e migrações sob a mesma trava: nenhuma gravação ocorre entre a cópia e a migração
+  updateDatabase(db => {
+    const backup = gravarBackup(db);
+    resultado = { ...migrarDocumento(db), backup };
+    return db;
+  });
+
+  return resultado;
+}
+
+module.exports = {
+  VERSAO_SCHEMA,
+  compararVersoes,
+  migrarDocumento,
+  executarMigracoes
+};
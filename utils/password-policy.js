@@ -0,0 +1,110 @@
+/**
+ * Política de Senhas
+ * Requisitos mínimos, histórico de senhas e validade das senhas de login
+ */
+
+/**
+ * Ler inteiro de variável de ambiente (aceita 0 para desativar uma regra)
+ */
+function lerInteiro(nome, padrao) {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isNaN(valor) || valor < 0 ? padrao : valor;
+}
+
+const POLITICA_SENHA = {
+  tamanhoMinimo: lerInteiro('SENHA_TAMANHO_MINIMO', 8),
+  classesMinimas: lerInteiro('SENHA_CLASSES_MINIMAS', 3), // de 4: maiúsculas, minúsculas, dígitos, símbolos
+  historico: lerInteiro('SENHA_HISTORICO', 5), // senhas anteriores que não podem ser reutilizadas
+  validadeDias: lerInteiro('SENHA_VALIDADE_DIAS', 90) // 0 = senhas não expiram
+};
+
+const CLASSES = [
+  { nome: 'letras maiúsculas', regex: /[A-Z]/ },
+  { nome: 'letras minúsculas', regex: /[a-z]/ },
+  { nome: 'dígitos', regex: /[0-9]/ },
+  { nome: 'símbolos', regex: /[^A-Za-z0-9]/ }
+];
+
+/**
+ * Descrição dos requisitos da política (exibida nas mensagens de erro)
+ */
+function descreverRequisitos() {
+  const classes = Math.min(POLITICA_SENHA.classesMinimas, CLASSES.length);
+  let descricao = `mínimo de ${POLITICA_SENHA.tamanhoMinimo} caracteres`;
+  if (classes > 0) {
+    descricao += ` e ao menos ${classes} dos tipos: ${CLASSES.map(c => c.nome).join(', ')}`;
+  }
+  return descricao;
+}
+
+/**
+ * Validar tamanho e composição da senha
+ * @param {Object} opcoes - { username } para impedir senha igual ao usuário
+ */
+function validarForcaSenha(senha, { username } = {}) {
+  if (typeof senha !== 'string' || senha.length === 0) {
+    return { success: false, error: 'Senha não pode ser vazia', errorCode: 'WEAK_PASSWORD' };
+  }
+
+  const classesPresentes = CLASSES.filter(c => c.regex.test(senha)).length;
+  const classesExigidas = Math.min(POLITICA_SENHA.classesMinimas, CLASSES.length);
+
+  if (senha.length < POLITICA_SENHA.tamanhoMinimo || classesPresentes < classesExigidas) {
+    return {
+      success: false,
+      error: `Senha não atende à política: ${descreverRequisitos()}`,
+      errorCode: 'WEAK_PASSWORD'
+    };
+  }
+
+  if (username && senha.toLowerCase() === String(username).trim().toLowerCase()) {
+    return { success: false, error: 'A senha não pode ser igual ao usuário', errorCode: 'WEAK_PASSWORD' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Hashes que a nova senha não pode repetir (atual + histórico)
+ */
+function hashesBloqueados(registro) {
+  const anteriores = (registro.passwordHistory || []).slice(0, POLITICA_SENHA.historico);
+  return [registro.passwordHash, ...anteriores].filter(Boolean);
+}
+
+/**
+ * Registrar troca de senha: o hash atual vai para o histórico
+ */
+function registrarTrocaSenha(registro, novoHash) {
+  if (registro.passwordHash && POLITICA_SENHA.historico > 0) {
+    registro.passwordHistory = [registro.passwordHash, ...(registro.passwordHistory || [])]
+      .slice(0, POLITICA_SENHA.historico);
+  } else {
+    registro.passwordHistory = [];
+  }
+
+  registro.passwordHash = novoHash;
+  registro.senhaAlteradaEm = new Date().toISOString();
+}
+
+/**
+ * Verificar se a senha do registro expirou
+ * Registros sem data de troca (anteriores à migração 1.5.0) não expiram
+ */
+function senhaExpirada(registro) {
+  if (!POLITICA_SENHA.validadeDias || !registro.senhaAlteradaEm) {
+    return false;
+  }
+
+  const validadeMs = POLITICA_SENHA.validadeDias * 24 * 60 * 60 * 1000;
+  return new Date(registro.senhaAlteradaEm).getTime() + validadeMs <= Date.now();
+}
+
+module.exports = {
+  POLITICA_SENHA,
+  descreverRequisitos,
+  validarForcaSenha,
+  hashesBloqueados,
+  registrarTrocaSenha,
+  senhaExpirada
+};
@@ -0,0 +1,112 @@
+/**
+ * Permissões de Perfil
+ * Define as permissões disponíveis e verifica o acesso do usuário autenticado
+ */
+
+/**
+ * Permissões que podem ser atribuídas a um perfil
+ */
+const PERMISSOES = [
+  // Bancos
+  'bancos_testarAPIs',
+  'bancos_gerenciarCredenciais',
+
+  // Ambientes
+  'ambientes_visualizar',
+  'ambientes_sincronizar',
+  'ambientes_reiniciar',
+
+  // Gerenciar Ambientes
+  'gerenciarAmbientes',
+  'gerenciarAmbientes_definirBancos',
+  'gerenciarAmbientes_nomearAmbiente',
+
+  // Outros
+  'criarPerfis',
+
+  // CLT
+  'clt_consulta',
+  'clt_lote'
+];
+
+/**
+ * Montar objeto de permissões completo (permissões ausentes ficam false)
+ */
+function normalizarPermissoes(permissoes = {}) {
+  const normalizadas = {};
+  PERMISSOES.forEach(permissao => {
+    normalizadas[permissao] = !!permissoes[permissao];
+  });
+  return normalizadas;
+}
+
+/**
+ * Verificar se o usuário autenticado possui a permissão
+ * Admins possuem acesso total; logins dependem do perfil associado e
+ * chaves de API das permissões definidas na criação
+ */
+function temPermissao(auth, permissao) {
+  if (!auth) {
+    return false;
+  }
+
+  if (auth.tipo === 'admin') {
+    return true;
+  }
+
+  if (auth.tipo === 'login') {
+    return !!(auth.perfil && auth.perfil.permissoes && auth.perfil.permissoes[permissao]);
+  }
+
+  if (auth.tipo === 'apikey') {
+    return auth.apiKey.permissoes.includes(permissao);
+  }
+
+  return false;
+}
+
+/**
+ * Obter o ambiente ao qual o usuário autenticado está restrito
+ * Retorna null quando o usuário tem acesso a todos os ambientes
+ */
+function ambienteDoEscopo(auth) {
+  if (auth && auth.tipo === 'login') {
+    return auth.login.ambienteId;
+  }
+
+  if (auth && auth.tipo === 'apikey') {
+    return auth.apiKey.ambienteId || null;
+  }
+
+  return null;
+}
+
+/**
+ * Verificar se o usuário autenticado pode acessar o ambiente
+ */
+function podeAcessarAmbiente(auth, ambienteId) {
+  const escopo = ambienteDoEscopo(auth);
+  return escopo === null || escopo === ambienteId;
+}
+
+/**
+ * Verificar se o usuário autenticado pode atribuir o perfil a um login
+ * Usuários restritos a um ambiente só atribuem perfis cujas permissões também possuem
+ */
+function podeAtribuirPerfil(auth, perfil) {
+  if (ambienteDoEscopo(auth) === null) {
+    return true;
+  }
+
+  const permissoes = (perfil && perfil.permissoes) || {};
+  return Object.keys(permissoes).filter(p => permissoes[p]).every(p => temPermissao(auth, p));
+}
+
+module.exports = {
+  PERMISSOES,
+  normalizarPermissoes,
+  temPermissao,
+  ambienteDoEscopo,
+  podeAcessarAmbiente,
+  podeAtribuirPerfil
+};
@@ -0,0 +1,157 @@
+/**
+ * Alocação de Portas
+ * Faixa configurável para novos ambientes e detecção de portas ocupadas:
+ * ambientes cadastrados ou na lixeira, pastas rota-*, sockets em escuta e portas reservadas
+ */
+
+const fs = require('fs');
+
+function lerInteiro(nome, padrao) {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isNaN(valor) || valor < 0 ? padrao : valor;
+}
+
+const FAIXA_PORTAS = {
+  minima: lerInteiro('AMBIENTES_PORTA_MIN', 5000),
+  maxima: lerInteiro('AMBIENTES_PORTA_MAX', 9999)
+};
+
+// rota-4000 (teste), sistema-admin (7000) e HTTPS (7443), mais as informadas em AMBIENTES_PORTAS_RESERVADAS
+const PORTAS_RESERVADAS = [
+  4000, 7000, 7443,
+  ...(process.env.AMBIENTES_PORTAS_RESERVADAS || '').split(',').map(p => parseInt(p, 10)).filter(p => !Number.isNaN(p))
+];
+
+// Tabelas de sockets TCP do Linux; estado 0A = LISTEN
+const TABELAS_SOCKETS = ['/proc/net/tcp', '/proc/net/tcp6'];
+const ESTADO_ESCUTA = '0A';
+
+/**
+ * Portas TCP em escuta no host
+ * @returns {Set|null} null se não for possível consultar (sistema sem /proc)
+ */
+function portasEmEscuta() {
+  const portas = new Set();
+  let consultado = false;
+
+  TABELAS_SOCKETS.forEach(tabela => {
+    let conteudo;
+    try {
+      conteudo = fs.readFileSync(tabela, 'utf8');
+    } catch (error) {
+      return;
+    }
+    consultado = true;
+
+    conteudo.split('\n').slice(1).forEach(linha => {
+      const colunas = linha.trim().split(/\s+/);
+      if (colunas.length > 3 && colunas[3] === ESTADO_ESCUTA) {
+        portas.add(parseInt(colunas[1].split(':').pop(), 16));
+      }
+    });
+  });
+
+  return consultado ? portas : null;
+}
+
+/**
+ * Pastas rota-{porta}.* existentes (porta -> nome da pasta)
+ */
+function portasComPasta() {
+  const pastas = new Map();
+  // Diretório onde as pastas são criadas (require tardio: ambiente-manager depende de database, que carrega este módulo)
+  const { BASE_PATH } = require('./ambiente-manager');
+
+  try {
+    fs.readdirSync(BASE_PATH).forEach(item => {
+      const match = item.match(/^rota-(\d+)\./);
+      if (match && !pastas.has(parseInt(match[1]))) {
+        pastas.set(parseInt(match[1]), item);
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar pastas dos ambientes:', error.message);
+  }
+
+  return pastas;
+}
+
+/**
+ * Levantar as portas ocupadas uma única vez (para verificar várias portas)
+ */
+function coletarOcupacao(db) {
+  return {
+    ambientes: new Map((db.ambientes || []).map(a => [a.porta, a.nome])),
+    lixeira: new Map((db.lixeira || []).filter(i => i.tipo === 'ambiente').map(i => [i.registro.porta, i.registro.nome])),
+    pastas: portasComPasta(),
+    sockets: portasEmEscuta()
+  };
+}
+
+/**
+ * Motivos pelos quais a porta não pode ser usada por um novo ambiente
+ */
+function motivosIndisponibilidade(porta, ocupacao) {
+  const motivos = [];
+
+  if (!Number.isInteger(porta) || porta < FAIXA_PORTAS.minima || porta > FAIXA_PORTAS.maxima) {
+    motivos.push({ motivo: 'fora-da-faixa', detalhe: `fora da faixa ${FAIXA_PORTAS.minima}-${FAIXA_PORTAS.maxima}` });
+  }
+  if (PORTAS_RESERVADAS.includes(porta)) {
+    motivos.push({ motivo: 'reservada', detalhe: 'porta reservada' });
+  }
+  if (ocupacao.ambientes.has(porta)) {
+    motivos.push({ motivo: 'ambiente', detalhe: `em uso pelo ambiente "${ocupacao.ambientes.get(porta)}"` });
+  }
+  if (ocupacao.lixeira.has(porta)) {
+    motivos.push({ motivo: 'lixeira', detalhe: `usada pelo ambiente "${ocupacao.lixeira.get(porta)}", que está na lixeira` });
+  }
+  if (ocupacao.pastas.has(porta)) {
+    motivos.push({ motivo: 'pasta', detalhe: `pasta ${ocupacao.pastas.get(porta)} já existe` });
+  }
+  if (ocupacao.sockets && ocupacao.sockets.has(porta)) {
+    motivos.push({ motivo: 'socket', detalhe: 'há um processo escutando nesta porta' });
+  }
+
+  return motivos;
+}
+
+/**
+ * Verificar se a porta está livre para um novo ambiente
+ * @returns {Object} { disponivel, motivos, socketsVerificados }
+ */
+function verificarPorta(porta, db) {
+  const ocupacao = coletarOcupacao(db);
+  const motivos = motivosIndisponibilidade(porta, ocupacao);
+
+  return {
+    disponivel: motivos.length === 0,
+    motivos,
+    socketsVerificados: ocupacao.sockets !== null
+  };
+}
+
+/**
+ * Menor porta livre da faixa configurada
+ * @returns {Object} { porta (null se a faixa estiver esgotada), socketsVerificados }
+ */
+function proximaPortaLivre(db) {
+  const ocupacao = coletarOcupacao(db);
+  let porta = null;
+
+  for (let candidata = FAIXA_PORTAS.minima; candidata <= FAIXA_PORTAS.maxima; candidata++) {
+    if (motivosIndisponibilidade(candidata, ocupacao).length === 0) {
+      porta = candidata;
+      break;
+    }
+  }
+
+  return { porta, socketsVerificados: ocupacao.sockets !== null };
+}
+
+module.exports = {
+  FAIXA_PORTAS,
+  PORTAS_RESERVADAS,
+  verificarPorta,
+  proximaPortaLivre
+};
@@ -0,0 +1,244 @@
+/**
+ * Provisionamento de Ambientes
+ * Criação em etapas (registro, pasta, .env, bancos, compartilhados, logins e PM2) com status por etapa;
+ * se uma etapa falha, ela e as anteriores são desfeitas em ordem inversa
+ */
+
+const fs = require('fs');
+const {
+  createAmbiente,
+  updateAmbiente,
+  descartarAmbiente,
+  clonarLoginsAmbiente,
+  descartarLogins
+} = require('./database');
+const {
+  caminhoAmbiente,
+  criarEnvAmbiente,
+  copiarEnvAmbiente,
+  copiarBancosAmbiente,
+  copiarCompartilhadosAmbiente
+} = require('./ambiente-manager');
+const { iniciarServidor, pararServidor } = require('./pm2-manager');
+
+/**
+ * Executar etapas em ordem, desfazendo as executadas se alguma falhar
+ * Etapa: { nome, executar(ctx), desfazer(ctx), condicao(ctx) }
+ * executar indica falha lançando exceção ou retornando { success: false, error }
+ * desfazer deve tolerar execuções parciais (consulta o contexto para saber o que foi feito)
+ * @returns {Object} { success, etapas } ou erro com etapaComFalha e o status de cada etapa
+ */
+function executarEtapas(etapas, contexto) {
+  const relatorio = etapas.map(etapa => ({ etapa: etapa.nome, status: 'pendente' }));
+  const executadas = [];
+  let falha = null;
+
+  for (let i = 0; i < etapas.length && !falha; i++) {
+    const etapa = etapas[i];
+    const registro = relatorio[i];
+
+    if (etapa.condicao && !etapa.condicao(contexto)) {
+      registro.status = 'ignorada';
+      continue;
+    }
+
+    executadas.push(i);
+    try {
+      const resultado = etapa.executar(contexto) || {};
+      if (resultado.success === false) {
+        falha = resultado;
+      } else {
+        registro.status = 'concluida';
+        if (resultado.detalhes) {
+          registro.detalhes = resultado.detalhes;
+        }
+      }
+    } catch (error) {
+      falha = { error: error.message };
+    }
+
+    if (falha) {
+      registro.status = 'falhou';
+      registro.error = falha.error;
+      falha.etapa = etapa.nome;
+    }
+  }
+
+  if (!falha) {
+    return { success: true, etapas: relatorio };
+  }
+
+  executadas.reverse().forEach(i => {
+    const etapa = etapas[i];
+    if (!etapa.desfazer) {
+      return;
+    }
+
+    try {
+      const resultado = etapa.desfazer(contexto) || {};
+      if (resultado.success === false) {
+        throw new Error(resultado.error);
+      }
+      // A etapa que falhou só tem o resultado parcial limpo; não conta como desfeita
+      if (relatorio[i].status === 'concluida') {
+        relatorio[i].desfeita = true;
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao desfazer a etapa "${etapa.nome}":`, error.message);
+      relatorio[i].desfeita = false;
+      relatorio[i].erroDesfazer = error.message;
+    }
+  });
+
+  return {
+    success: false,
+    error: falha.error,
+    errorCode: falha.errorCode || 'PROVISIONING_FAILED',
+    motivos: falha.motivos,
+    etapaComFalha: falha.etapa,
+    etapas: relatorio
+  };
+}
+
+function removerCopias(caminhos) {
+  (caminhos || []).filter(Boolean).forEach(caminho => fs.rmSync(caminho, { recursive: true, force: true }));
+}
+
+// Etapas do provisionamento, na ordem de execução
+const ETAPAS_AMBIENTE = [
+  {
+    nome: 'registro',
+    executar: ctx => {
+      const { nome, porta, username, password, bancosPermitidos } = ctx.dados;
+      const resultado = createAmbiente(nome, porta, username, password, bancosPermitidos);
+      if (!resultado.success) {
+        return resultado;
+      }
+      ctx.ambiente = resultado.ambiente;
+      return { detalhes: { id: resultado.ambiente.id, porta: resultado.ambiente.porta } };
+    },
+    desfazer: ctx => (ctx.ambiente ? descartarAmbiente(ctx.ambiente.id) : null)
+  },
+  {
+    nome: 'pipeline',
+    condicao: ctx => !!(ctx.clonarDe && ctx.clonarDe.pipelineKentro),
+    // createAmbiente sempre cria sem pipeline
+    executar: ctx => updateAmbiente(ctx.ambiente.id, { pipelineKentro: ctx.clonarDe.pipelineKentro })
+  },
+  {
+    nome: 'pasta',
+    executar: ctx => {
+      const ambientePath = caminhoAmbiente(ctx.ambiente.porta);
+      if (fs.existsSync(ambientePath)) {
+        return { success: false, error: `Pasta ${ambientePath} já existe` };
+      }
+      fs.mkdirSync(ambientePath, { recursive: true });
+      ctx.pasta = ambientePath;
+      return { detalhes: { path: ambientePath } };
+    },
+    desfazer: ctx => removerCopias([ctx.pasta])
+  },
+  {
+    nome: 'env',
+    executar: ctx => {
+      const { porta } = ctx.ambiente;
+
+      if (ctx.clonarDe) {
+        const copia = copiarEnvAmbiente(ctx.clonarDe.ambienteId, porta, { incluirCredenciais: ctx.clonarDe.incluirCredenciais });
+        if (copia.success) {
+          ctx.env = copia.path;
+          ctx.credenciaisCopiadas = copia.credenciaisCopiadas;
+          return { detalhes: { path: copia.path, copiadoDe: ctx.clonarDe.ambienteId } };
+        }
+        ctx.avisos.push(`${copia.error}: o novo ambiente ficou com o .env padrão`);
+      }
+
+      ctx.env = criarEnvAmbiente(porta);
+      return { detalhes: { path: ctx.env } };
+    },
+    desfazer: ctx => removerCopias([ctx.env])
+  },
+  {
+    nome: 'bancos',
+    executar: ctx => {
+      ctx.bancosCopiados = [];
+      copiarBancosAmbiente(ctx.ambiente.porta, ctx.dados.bancosPermitidos, ctx.bancosCopiados);
+      return { detalhes: { copiados: ctx.bancosCopiados } };
+    },
+    desfazer: ctx => removerCopias(ctx.bancosCopiados)
+  },
+  {
+    nome: 'compartilhados',
+    executar: ctx => {
+      ctx.compartilhadosCopiados = [];
+      copiarCompartilhadosAmbiente(ctx.ambiente.porta, ctx.compartilhadosCopiados);
+      return { detalhes: { copiados: ctx.compartilhadosCopiados } };
+    },
+    desfazer: ctx => removerCopias(ctx.compartilhadosCopiados)
+  },
+  {
+    nome: 'logins',
+    condicao: ctx => !!(ctx.clonarDe && ctx.clonarDe.copiarLogins),
+    executar: ctx => {
+      const resultado = clonarLoginsAmbiente(ctx.clonarDe.ambienteId, ctx.ambiente.id, ctx.clonarDe.sufixoLogins);
+      if (!resultado.success) {
+        return resultado;
+      }
+      ctx.logins = resultado.logins;
+      return { detalhes: { copiados: resultado.logins.length } };
+    },
+    desfazer: ctx => (ctx.logins.length > 0 ? descartarLogins(ctx.logins.map(l => l.id)) : null)
+  },
+  {
+    nome: 'servidor',
+    condicao: ctx => ctx.iniciar,
+    executar: ctx => {
+      const resultado = iniciarServidor(ctx.ambiente.porta);
+      if (!resultado.success) {
+        return resultado;
+      }
+      ctx.servidorIniciado = true;
+      return { detalhes: { status: resultado.status } };
+    },
+    desfazer: ctx => (ctx.servidorIniciado ? pararServidor(ctx.ambiente.porta) : null)
+  }
+];
+
+/**
+ * Provisionar ambiente (novo ou clonado de outro)
+ * @param {Object} dados - { nome, porta (null = próxima livre), username, password, bancosPermitidos }
+ * @param {Object} opcoes - { iniciar, clonarDe: { ambienteId, pipelineKentro, incluirCredenciais, copiarLogins, sufixoLogins } }
+ * @returns {Object} { success, ambiente, etapas, avisos, logins, credenciaisCopiadas } ou erro com as etapas desfeitas
+ */
+function provisionarAmbiente(dados, { iniciar = false, clonarDe = null } = {}) {
+  const contexto = {
+    dados: { ...dados, bancosPermitidos: dados.bancosPermitidos || [] },
+    iniciar: !!iniciar,
+    clonarDe,
+    avisos: [],
+    logins: [],
+    credenciaisCopiadas: false
+  };
+
+  const resultado = executarEtapas(ETAPAS_AMBIENTE, contexto);
+
+  if (!resultado.success) {
+    console.error(`❌ Provisionamento do ambiente "${dados.nome}" falhou na etapa "${resultado.etapaComFalha}" (${resultado.error}); etapas concluídas foram desfeitas`);
+    return resultado;
+  }
+
+  return {
+    success: true,
+    ambiente: contexto.ambiente,
+    path: contexto.pasta,
+    etapas: resultado.etapas,
+    avisos: contexto.avisos,
+    logins: contexto.logins,
+    credenciaisCopiadas: contexto.credenciaisCopiadas
+  };
+}
+
+module.exports = {
+  executarEtapas,
+  provisionarAmbiente
+};
@@ -0,0 +1,199 @@
+/**
+ * Integridade Referencial
+ * Tratamento dos registros que apontam para perfis e ambientes excluídos
+ *
+ * Modos de exclusão:
+ * - bloquear: recusa a exclusão enquanto houver dependentes
+ * - desativar: desativa os dependentes e remove a referência
+ * - reatribuir: aponta os dependentes para outro perfil/ambiente
+ */
+
+const MODOS_EXCLUSAO = ['bloquear', 'desativar', 'reatribuir'];
+
+// Modo usado quando a requisição não informa um (reatribuir exige destino e não pode ser padrão)
+const MODO_EXCLUSAO_PADRAO = process.env.EXCLUSAO_DEPENDENTES === 'desativar' ? 'desativar' : 'bloquear';
+
+// Coleções que referenciam perfis e ambientes
+const REFERENCIAS = {
+  perfil: {
+    colecao: 'perfis',
+    dependentes: [
+      { colecao: 'logins', campo: 'perfilId', descrever: l => ({ id: l.id, username: l.username }) }
+    ]
+  },
+  ambiente: {
+    colecao: 'ambientes',
+    dependentes: [
+      { colecao: 'logins', campo: 'ambienteId', descrever: l => ({ id: l.id, username: l.username }) },
+      // Chaves de API desativadas ficam revogadas
+      { colecao: 'apiKeys', campo: 'ambienteId', descrever: k => ({ id: k.id, label: k.label }), revogar: true }
+    ]
+  }
+};
+
+/**
+ * Listar registros que referenciam o perfil/ambiente
+ * @param {string} tipo - 'perfil' ou 'ambiente'
+ */
+function listarDependentes(db, tipo, id) {
+  const dependentes = {};
+  let total = 0;
+
+  REFERENCIAS[tipo].dependentes.forEach(({ colecao, campo, descrever }) => {
+    const registros = (db[colecao] || []).filter(r => r[campo] === id);
+    dependentes[colecao] = registros.map(descrever);
+    total += registros.length;
+  });
+
+  return { dependentes, total };
+}
+
+/**
+ * Desativar registro dependente, removendo a referência
+ */
+function desativarDependente(registro, { campo, revogar }) {
+  registro[campo] = null;
+  registro.ativo = false;
+  registro.atualizadoEm = new Date().toISOString();
+  if (revogar) {
+    registro.revogadoEm = registro.revogadoEm || registro.atualizadoEm;
+  }
+}
+
+function reatribuirDependente(registro, campo, destino) {
+  registro[campo] = destino;
+  registro.atualizadoEm = new Date().toISOString();
+}
+
+/**
+ * Tratar os dependentes antes de excluir um perfil/ambiente (altera db, não grava)
+ * @param {Object} opcoes - { modo, destino }
+ * @returns {Object} { success, afetados: { logins: [ids], ... } } ou erro
+ */
+function aplicarExclusao(db, tipo, id, { modo = MODO_EXCLUSAO_PADRAO, destino = null } = {}) {
+  if (!MODOS_EXCLUSAO.includes(modo)) {
+    return {
+      success: false,
+      error: `Modo de exclusão inválido: "${modo}" (use ${MODOS_EXCLUSAO.join(', ')})`,
+      errorCode: 'INVALID_DELETE_MODE'
+    };
+  }
+
+  const { dependentes, total } = listarDependentes(db, tipo, id);
+
+  if (modo === 'bloquear' && total > 0) {
+    return {
+      success: false,
+      error: `Existem ${total} registro(s) vinculados. Exclua-os, desative-os ou reatribua-os a outro ${tipo}`,
+      errorCode: 'HAS_DEPENDENTS',
+      dependentes
+    };
+  }
+
+  if (modo === 'reatribuir') {
+    const referencia = REFERENCIAS[tipo];
+    if (!destino || destino === id || !db[referencia.colecao].some(r => r.id === destino)) {
+      return {
+        success: false,
+        error: `Informe um ${tipo} de destino existente e diferente do excluído`,
+        errorCode: 'TARGET_NOT_FOUND'
+      };
+    }
+  }
+
+  const afetados = {};
+  REFERENCIAS[tipo].dependentes.forEach(dependente => {
+    const { colecao, campo } = dependente;
+    afetados[colecao] = [];
+    (db[colecao] || []).filter(r => r[campo] === id).forEach(registro => {
+      if (modo === 'reatribuir') {
+        reatribuirDependente(registro, campo, destino);
+      } else {
+        desativarDependente(registro, dependente);
+      }
+      afetados[colecao].push(registro.id);
+    });
+  });
+
+  return { success: true, modo, afetados };
+}
+
+/**
+ * Localizar registros com referências para perfis/ambientes inexistentes
+ */
+function verificarIntegridade(db) {
+  const orfaos = [];
+
+  Object.keys(REFERENCIAS).forEach(tipo => {
+    const referencia = REFERENCIAS[tipo];
+    const existentes = new Set((db[referencia.colecao] || []).map(r => r.id));
+
+    referencia.dependentes.forEach(({ colecao, campo, descrever }) => {
+      (db[colecao] || []).forEach(registro => {
+        const alvo = registro[campo];
+        if (alvo && !existentes.has(alvo)) {
+          orfaos.push({ ...descrever(registro), colecao, tipo, campo, referencia: alvo });
+        }
+      });
+    });
+  });
+
+  return { orfaos, total: orfaos.length };
+}
+
+/**
+ * Corrigir referências órfãs (altera db, não grava)
+ * @param {Object} opcoes - { modo: 'desativar'|'reatribuir', perfilDestino, ambienteDestino }
+ */
+function corrigirOrfaos(db, { modo = 'desativar', perfilDestino = null, ambienteDestino = null } = {}) {
+  if (!['desativar', 'reatribuir'].includes(modo)) {
+    return {
+      success: false,
+      error: `Modo de correção inválido: "${modo}" (use desativar ou reatribuir)`,
+      errorCode: 'INVALID_DELETE_MODE'
+    };
+  }
+
+  const destinos = { perfil: perfilDestino, ambiente: ambienteDestino };
+
+  if (modo === 'reatribuir') {
+    const invalido = Object.keys(destinos).find(tipo =>
+      destinos[tipo] && !db[REFERENCIAS[tipo].colecao].some(r => r.id === destinos[tipo])
+    );
+    if (invalido || (!perfilDestino && !ambienteDestino)) {
+      return {
+        success: false,
+        error: 'Informe perfilDestino e/ou ambienteDestino existentes para reatribuir',
+        errorCode: 'TARGET_NOT_FOUND'
+      };
+    }
+  }
+
+  const { orfaos } = verificarIntegridade(db);
+  const corrigidos = [];
+
+  orfaos.forEach(orfao => {
+    const registro = db[orfao.colecao].find(r => r.id === orfao.id);
+    const dependente = REFERENCIAS[orfao.tipo].dependentes.find(d => d.colecao === orfao.colecao);
+    const destino = modo === 'reatribuir' ? destinos[orfao.tipo] : null;
+
+    // Sem destino para o tipo, o registro órfão é desativado
+    if (destino) {
+      reatribuirDependente(registro, orfao.campo, destino);
+    } else {
+      desativarDependente(registro, dependente);
+    }
+    corrigidos.push({ ...orfao, acao: destino ? 'reatribuido' : 'desativado', destino });
+  });
+
+  return { success: true, corrigidos, total: corrigidos.length };
+}
+
+module.exports = {
+  MODOS_EXCLUSAO,
+  MODO_EXCLUSAO_PADRAO,
+  listarDependentes,
+  aplicarExclusao,
+  verificarIntegridade,
+  corrigirOrfaos
+};
@@ -0,0 +1,257 @@
+/**
+ * Sessões de Acesso
+ * Registra as sessões abertas pelos tokens emitidos, permitindo logout e revogação
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { gerarToken, EXPIRACAO_PADRAO } = require('./auth-token');
+const { escreverArquivoAtomico, comTrava } = require('./atomic-write');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+
+// Intervalo mínimo entre gravações do último acesso de uma sessão
+const INTERVALO_ULTIMO_ACESSO_MS = 60 * 1000;
+
+// Cópia em memória e a versão do arquivo de onde foi lida
+let cache = null;
+
+/**
+ * Versão do arquivo de sessões (muda a cada gravação, inclusive de outros processos)
+ */
+function versaoArquivo() {
+  try {
+    const { mtimeMs, size, ino } = fs.statSync(SESSIONS_FILE);
+    return `${ino}:${mtimeMs}:${size}`;
+  } catch (error) {
+    return null; // Arquivo ainda não existe
+  }
+}
+
+/**
+ * Carregar sessões (relidas do disco quando o arquivo muda)
+ */
+function carregarSessoes() {
+  const versao = versaoArquivo();
+  if (cache && cache.versao === versao) {
+    return cache.sessoes;
+  }
+
+  let sessoes = [];
+  try {
+    if (versao !== null) {
+      sessoes = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8')).sessoes || [];
+    }
+  } catch (error) {
+    console.error('❌ Erro ao carregar sessões:', error);
+  }
+
+  cache = { versao, sessoes };
+  return sessoes;
+}
+
+/**
+ * Alterar sessões com a trava do arquivo: relê o disco, aplica a alteração e grava
+ * (descartando sessões já expiradas), para não sobrescrever gravações de outros processos
+ * @param {Function} alterar - recebe a lista; retorna false se nada mudou
+ * @returns {boolean} false se a gravação falhou
+ */
+function alterarSessoes(alterar) {
+  try {
+    return comTrava(SESSIONS_FILE, () => {
+      const sessoes = carregarSessoes();
+      if (alterar(sessoes) === false) {
+        return true;
+      }
+
+      const agora = new Date().toISOString();
+      const ativas = sessoes.filter(s => s.expiraEm > agora);
+      escreverArquivoAtomico(SESSIONS_FILE, JSON.stringify({ sessoes: ativas }, null, 2));
+      cache = { versao: versaoArquivo(), sessoes: ativas };
+      return true;
+    });
+  } catch (error) {
+    console.error('❌ Erro ao salvar sessões:', error);
+    cache = null;
+    return false;
+  }
+}
+
+/**
+ * Dados públicos da sessão
+ */
+function sanitizarSessao(sessao) {
+  return {
+    id: sessao.id,
+    tipo: sessao.tipo,
+    sujeitoId: sessao.sujeitoId,
+    username: sessao.username,
+    ip: sessao.ip,
+    userAgent: sessao.userAgent,
+    criadoEm: sessao.criadoEm,
+    ultimoAcessoEm: sessao.ultimoAcessoEm,
+    expiraEm: sessao.expiraEm,
+    revogadoEm: sessao.revogadoEm || null,
+    motivoRevogacao: sessao.motivoRevogacao || null
+  };
+}
+
+/**
+ * Criar sessão e emitir o token correspondente
+ * @param {Object} req - requisição de login (IP e user-agent)
+ * @param {Object} dados - { tipo, sujeitoId, username, claims }
+ * @param {Object} opcoes - { expiresIn: validade do token, duracao: validade da sessão } em segundos
+ */
+function iniciarSessao(req, { tipo, sujeitoId, username, claims = {} }, opcoes = {}) {
+  const agora = Date.now();
+  const duracao = opcoes.duracao || EXPIRACAO_PADRAO;
+
+  const sessao = {
+    id: `sessao-${crypto.randomBytes(12).toString('hex')}`,
+    tipo: tipo,
+    sujeitoId: sujeitoId,
+    username: username || null,
+    ip: req.ip || null,
+    userAgent: req.headers['user-agent'] || null,
+    criadoEm: new Date(agora).toISOString(),
+    ultimoAcessoEm: new Date(agora).toISOString(),
+    expiraEm: new Date(agora + duracao * 1000).toISOString(),
+    revogadoEm: null
+  };
+
+  if (!alterarSessoes(sessoes => { sessoes.push(sessao); })) {
+    throw new Error('Erro ao salvar sessão');
+  }
+
+  const token = gerarToken({ ...claims, sub: sujeitoId, typ: tipo, sid: sessao.id }, { expiresIn: opcoes.expiresIn || duracao });
+
+  return { token, sessao: sanitizarSessao(sessao) };
+}
+
+/**
+ * Emitir novo token para uma sessão ativa (renovação)
+ * @param {Object} dados - { typ, claims }
+ * @param {Object} opcoes - { expiresIn } em segundos (limitado ao fim da sessão)
+ */
+function emitirTokenSessao(sessaoId, { typ, claims = {} }, opcoes = {}) {
+  const sessao = obterSessaoAtiva(sessaoId);
+  if (!sessao) {
+    return null;
+  }
+
+  const restante = Math.floor((new Date(sessao.expiraEm).getTime() - Date.now()) / 1000);
+  const expiresIn = Math.min(opcoes.expiresIn || EXPIRACAO_PADRAO, restante);
+
+  return gerarToken({ ...claims, sub: sessao.sujeitoId, typ: typ || sessao.tipo, sid: sessao.id }, { expiresIn });
+}
+
+/**
+ * Obter sessão ativa (não revogada e não expirada) e registrar o acesso
+ * O registro do acesso é acessório: falha ao gravar não recusa a sessão
+ */
+function obterSessaoAtiva(sessaoId) {
+  const sessao = carregarSessoes().find(s => s.id === sessaoId);
+  const agora = Date.now();
+
+  if (!sessao || sessao.revogadoEm || new Date(sessao.expiraEm).getTime() <= agora) {
+    return null;
+  }
+
+  if (agora - new Date(sessao.ultimoAcessoEm).getTime() > INTERVALO_ULTIMO_ACESSO_MS) {
+    alterarSessoes(sessoes => {
+      const registro = sessoes.find(s => s.id === sessaoId);
+      if (!registro) {
+        return false;
+      }
+      registro.ultimoAcessoEm = new Date(agora).toISOString();
+    });
+  }
+
+  return sessao;
+}
+
+/**
+ * Listar sessões ativas (opcionalmente filtradas por tipo e sujeito)
+ */
+function listarSessoes(filtro = {}) {
+  const agora = new Date().toISOString();
+
+  return carregarSessoes()
+    .filter(s => !s.revogadoEm && s.expiraEm > agora)
+    .filter(s => !filtro.tipo || s.tipo === filtro.tipo)
+    .filter(s => !filtro.sujeitoId || s.sujeitoId === filtro.sujeitoId)
+    .map(sanitizarSessao);
+}
+
+/**
+ * Obter sessão por ID (ativa ou não)
+ */
+function getSessao(sessaoId) {
+  const sessao = carregarSessoes().find(s => s.id === sessaoId);
+  return sessao ? sanitizarSessao(sessao) : null;
+}
+
+/**
+ * Revogar uma sessão
+ */
+function revogarSessao(sessaoId, motivo = 'logout') {
+  let encontrada = false;
+
+  const gravado = alterarSessoes(sessoes => {
+    const sessao = sessoes.find(s => s.id === sessaoId);
+    encontrada = !!sessao;
+    if (!sessao || sessao.revogadoEm) {
+      return false;
+    }
+    sessao.revogadoEm = new Date().toISOString();
+    sessao.motivoRevogacao = motivo;
+  });
+
+  if (!gravado) {
+    return { success: false, error: 'Erro ao salvar sessões' };
+  }
+
+  if (!encontrada) {
+    return { success: false, error: 'Sessão não encontrada' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Revogar todas as sessões de um usuário
+ * @param {string} exceto - ID de sessão a manter (ex: sessão atual)
+ */
+function revogarSessoesDoSujeito(tipo, sujeitoId, motivo, exceto = null) {
+  const agora = new Date().toISOString();
+  let total = 0;
+
+  const gravado = alterarSessoes(sessoes => {
+    sessoes.forEach(sessao => {
+      if (sessao.tipo === tipo && sessao.sujeitoId === sujeitoId && !sessao.revogadoEm && sessao.id !== exceto) {
+        sessao.revogadoEm = agora;
+        sessao.motivoRevogacao = motivo;
+        total++;
+      }
+    });
+    return total > 0;
+  });
+
+  if (!gravado) {
+    return { success: false, error: 'Erro ao salvar sessões' };
+  }
+
+  return { success: true, total };
+}
+
+module.exports = {
+  iniciarSessao,
+  emitirTokenSessao,
+  obterSessaoAtiva,
+  listarSessoes,
+  getSessao,
+  revogarSessao,
+  revogarSessoesDoSujeito
+};
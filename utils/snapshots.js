@@ -0,0 +1,193 @@
+/**
+ * Snapshots do Banco de Dados
+ * Cópia do estado gravado antes de cada alteração, com retenção por quantidade e idade
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escreverArquivoAtomico } = require('./atomic-write');
+
+const SNAPSHOTS_DIR = path.join(__dirname, '..', 'data', 'snapshots');
+
+function lerInteiro(nome, padrao) {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isNaN(valor) || valor < 0 ? padrao : valor;
+}
+
+const RETENCAO_SNAPSHOTS = {
+  quantidade: lerInteiro('SNAPSHOTS_MAX', 50), // 0 = snapshots desativados
+  dias: lerInteiro('SNAPSHOTS_MAX_DIAS', 7) // 0 = sem limite de idade
+};
+
+// snapshot-<timestamp em ms>-r<revisão>
+const PADRAO_ID = /^snapshot-(\d+)-r(\d+)$/;
+
+// Coleções comparadas pelo diff: nome -> caminho no documento
+const COLECOES = {
+  ambientes: ['ambientes'],
+  perfis: ['perfis'],
+  logins: ['logins'],
+  usuarios: ['admin', 'usuarios'],
+  bancosDisponiveis: ['bancosDisponiveis'],
+  apiKeys: ['apiKeys'],
+  lixeira: ['lixeira']
+};
+
+function arquivoSnapshot(id) {
+  return path.join(SNAPSHOTS_DIR, `${id}.json`);
+}
+
+function obterCaminho(documento, caminho) {
+  return caminho.reduce((atual, chave) => (atual ? atual[chave] : undefined), documento);
+}
+
+/**
+ * Gravar snapshot do documento e aplicar a retenção
+ * @returns {string|null} ID do snapshot (null se desativados)
+ */
+function criarSnapshot(documento) {
+  if (RETENCAO_SNAPSHOTS.quantidade === 0) {
+    return null;
+  }
+
+  const id = `snapshot-${Date.now()}-r${documento.revisao || 0}`;
+  escreverArquivoAtomico(arquivoSnapshot(id), JSON.stringify(documento, null, 2));
+  aplicarRetencao();
+
+  return id;
+}
+
+/**
+ * Listar snapshots (mais recente primeiro)
+ */
+function listarSnapshots() {
+  if (!fs.existsSync(SNAPSHOTS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(SNAPSHOTS_DIR)
+    .map(nome => nome.replace(/\.json$/, ''))
+    .filter(id => PADRAO_ID.test(id))
+    .map(id => {
+      const [, timestamp, revisao] = id.match(PADRAO_ID);
+      let tamanho = 0;
+      try {
+        tamanho = fs.statSync(arquivoSnapshot(id)).size;
+      } catch (error) {
+        // Removido pela retenção de outro processo
+      }
+      return {
+        id,
+        criadoEm: new Date(parseInt(timestamp)).toISOString(),
+        revisao: parseInt(revisao),
+        tamanho
+      };
+    })
+    .sort((a, b) => b.id.localeCompare(a.id, undefined, { numeric: true }));
+}
+
+/**
+ * Remover snapshots além da quantidade máxima ou mais antigos que o limite de dias
+ */
+function aplicarRetencao() {
+  const limiteIdade = RETENCAO_SNAPSHOTS.dias > 0
+    ? Date.now() - RETENCAO_SNAPSHOTS.dias * 24 * 60 * 60 * 1000
+    : null;
+
+  listarSnapshots().forEach((snapshot, indice) => {
+    const excedente = indice >= RETENCAO_SNAPSHOTS.quantidade;
+    const expirado = limiteIdade !== null && new Date(snapshot.criadoEm).getTime() < limiteIdade;
+
+    if (excedente || expirado) {
+      try {
+        fs.unlinkSync(arquivoSnapshot(snapshot.id));
+      } catch (error) {
+        // Já removido
+      }
+    }
+  });
+}
+
+/**
+ * Ler conteúdo de um snapshot
+ * @returns {Object|null} Documento ou null se não existir
+ */
+function lerSnapshot(id) {
+  if (!PADRAO_ID.test(String(id)) || !fs.existsSync(arquivoSnapshot(id))) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(arquivoSnapshot(id), 'utf8'));
+}
+
+/**
+ * Chave de identificação de um registro da coleção
+ */
+function chaveRegistro(registro) {
+  return registro && registro.id !== undefined ? String(registro.id) : JSON.stringify(registro);
+}
+
+function descreverRegistro(registro) {
+  if (!registro || typeof registro !== 'object') {
+    return { id: registro };
+  }
+  return {
+    id: registro.id,
+    nome: registro.nome || registro.username || registro.label || undefined
+  };
+}
+
+/**
+ * Comparar um snapshot com o estado atual
+ * Lista os registros adicionados, removidos e alterados desde o snapshot
+ * (para registros alterados, apenas os nomes dos campos: valores podem conter hashes e segredos)
+ */
+function compararComAtual(snapshot, atual) {
+  const colecoes = {};
+  let totalAlteracoes = 0;
+
+  Object.keys(COLECOES).forEach(nome => {
+    const anteriores = obterCaminho(snapshot, COLECOES[nome]) || [];
+    const atuais = obterCaminho(atual, COLECOES[nome]) || [];
+
+    const mapaAnterior = new Map(anteriores.map(r => [chaveRegistro(r), r]));
+    const mapaAtual = new Map(atuais.map(r => [chaveRegistro(r), r]));
+
+    const adicionados = atuais.filter(r => !mapaAnterior.has(chaveRegistro(r))).map(descreverRegistro);
+    const removidos = anteriores.filter(r => !mapaAtual.has(chaveRegistro(r))).map(descreverRegistro);
+    const alterados = [];
+
+    atuais.forEach(registro => {
+      const anterior = mapaAnterior.get(chaveRegistro(registro));
+      if (!anterior || typeof registro !== 'object') {
+        return;
+      }
+
+      const campos = [...new Set([...Object.keys(anterior), ...Object.keys(registro)])]
+        .filter(campo => JSON.stringify(anterior[campo]) !== JSON.stringify(registro[campo]));
+
+      if (campos.length > 0) {
+        alterados.push({ ...descreverRegistro(registro), campos });
+      }
+    });
+
+    totalAlteracoes += adicionados.length + removidos.length + alterados.length;
+    colecoes[nome] = { adicionados, removidos, alterados };
+  });
+
+  return {
+    revisaoSnapshot: snapshot.revisao || 0,
+    revisaoAtual: atual.revisao || 0,
+    totalAlteracoes,
+    colecoes
+  };
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  RETENCAO_SNAPSHOTS,
+  criarSnapshot,
+  listarSnapshots,
+  lerSnapshot,
+  compararComAtual
+};
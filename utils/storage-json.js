@@ -0,0 +1,77 @@
+/**
+ * Armazenamento em Arquivo JSON
+ * Backend padrão: todo o banco em data/database.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escreverArquivoAtomico, comTrava } = require('./atomic-write');
+
+/**
+ * Criar backend JSON
+ * @param {Object} opcoes - { arquivo } caminho do database.json
+ */
+function criarStorageJson({ arquivo }) {
+  let observador = null;
+
+  return {
+    nome: 'json',
+    local: arquivo,
+
+    existe() {
+      return fs.existsSync(arquivo);
+    },
+
+    // Assinatura da versão gravada (muda a cada gravação, inclusive externa)
+    versao() {
+      try {
+        const stat = fs.statSync(arquivo);
+        return `${stat.mtimeMs}:${stat.size}`;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    ler() {
+      return JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    },
+
+    revisao() {
+      if (!fs.existsSync(arquivo)) {
+        return 0;
+      }
+      return this.ler().revisao || 0;
+    },
+
+    gravar(dados) {
+      escreverArquivoAtomico(arquivo, JSON.stringify(dados, null, 2));
+    },
+
+    comTrava(fn) {
+      return comTrava(arquivo, fn);
+    },
+
+    // Notificar alterações feitas por outros processos ou manualmente
+    observar(callback) {
+      if (observador) {
+        return;
+      }
+
+      try {
+        observador = fs.watch(path.dirname(arquivo), (evento, nomeArquivo) => {
+          if (!nomeArquivo || nomeArquivo === path.basename(arquivo)) {
+            callback();
+          }
+        });
+        observador.on('error', () => observador.close());
+        observador.unref();
+      } catch (error) {
+        observador = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  criarStorageJson
+};
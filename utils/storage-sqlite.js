@@ -0,0 +1,161 @@
+/**
+ * Armazenamento em SQLite
+ * Cada coleção do banco fica em uma tabela; demais campos em uma tabela de metadados
+ * Requer o pacote opcional better-sqlite3
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Coleções gravadas em tabelas próprias: caminho no documento -> tabela
+const COLECOES = [
+  { caminho: ['ambientes'], tabela: 'ambientes' },
+  { caminho: ['perfis'], tabela: 'perfis' },
+  { caminho: ['logins'], tabela: 'logins' },
+  { caminho: ['admin', 'usuarios'], tabela: 'admin_usuarios' },
+  { caminho: ['bancosDisponiveis'], tabela: 'bancos_disponiveis' }
+];
+
+function carregarDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('Backend SQLite requer o pacote better-sqlite3 (npm install better-sqlite3)');
+  }
+}
+
+function obterCaminho(documento, caminho) {
+  return caminho.reduce((atual, chave) => (atual ? atual[chave] : undefined), documento);
+}
+
+function definirCaminho(documento, caminho, valor) {
+  let atual = documento;
+  caminho.slice(0, -1).forEach(chave => {
+    if (!atual[chave] || typeof atual[chave] !== 'object') {
+      atual[chave] = {};
+    }
+    atual = atual[chave];
+  });
+  atual[caminho[caminho.length - 1]] = valor;
+}
+
+/**
+ * Criar backend SQLite
+ * @param {Object} opcoes - { arquivo } caminho do arquivo .sqlite
+ */
+function criarStorageSqlite({ arquivo }) {
+  const Database = carregarDriver();
+
+  const diretorio = path.dirname(arquivo);
+  if (!fs.existsSync(diretorio)) {
+    fs.mkdirSync(diretorio, { recursive: true });
+  }
+
+  const conexao = new Database(arquivo);
+  conexao.pragma('journal_mode = WAL');
+  // A espera por outro escritor bloqueia o event loop (driver síncrono): mesmo limite curto da trava em arquivo
+  conexao.pragma('busy_timeout = 1000');
+
+  conexao.exec(`
+    CREATE TABLE IF NOT EXISTS meta (
+      chave TEXT PRIMARY KEY,
+      valor TEXT NOT NULL
+    );
+  `);
+  COLECOES.forEach(({ tabela }) => {
+    conexao.exec(`
+      CREATE TABLE IF NOT EXISTS ${tabela} (
+        ordem INTEGER PRIMARY KEY,
+        id TEXT,
+        dados TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_${tabela}_id ON ${tabela} (id);
+    `);
+  });
+
+  const lerMeta = conexao.prepare('SELECT valor FROM meta WHERE chave = ?');
+  const gravarMeta = conexao.prepare('INSERT INTO meta (chave, valor) VALUES (?, ?) ON CONFLICT(chave) DO UPDATE SET valor = excluded.valor');
+
+  const consultas = {};
+  COLECOES.forEach(({ tabela }) => {
+    consultas[tabela] = {
+      listar: conexao.prepare(`SELECT dados FROM ${tabela} ORDER BY ordem`),
+      limpar: conexao.prepare(`DELETE FROM ${tabela}`),
+      inserir: conexao.prepare(`INSERT INTO ${tabela} (ordem, id, dados) VALUES (?, ?, ?)`)
+    };
+  });
+
+  const gravarTudo = conexao.transaction(dados => {
+    // Campos fora das coleções (version, apiKeys, ultimaSincronizacao, ...) ficam em meta.documento
+    const restante = structuredClone(dados);
+    delete restante.revisao;
+
+    COLECOES.forEach(({ caminho, tabela }) => {
+      const lista = obterCaminho(dados, caminho) || [];
+      const { limpar, inserir } = consultas[tabela];
+
+      limpar.run();
+      lista.forEach((registro, indice) => {
+        inserir.run(indice, registro && registro.id !== undefined ? String(registro.id) : null, JSON.stringify(registro));
+      });
+
+      definirCaminho(restante, caminho, null);
+    });
+
+    gravarMeta.run('documento', JSON.stringify(restante));
+    gravarMeta.run('revisao', String(dados.revisao || 0));
+  });
+
+  return {
+    nome: 'sqlite',
+    local: arquivo,
+    conexao: conexao,
+
+    existe() {
+      return !!lerMeta.get('documento');
+    },
+
+    // A revisão é incrementada a cada gravação, inclusive por outros processos
+    versao() {
+      const linha = lerMeta.get('revisao');
+      return linha ? linha.valor : null;
+    },
+
+    ler() {
+      const documento = JSON.parse(lerMeta.get('documento').valor);
+
+      COLECOES.forEach(({ caminho, tabela }) => {
+        const lista = consultas[tabela].listar.all().map(linha => JSON.parse(linha.dados));
+        definirCaminho(documento, caminho, lista);
+      });
+
+      documento.revisao = parseInt(this.versao()) || 0;
+      return documento;
+    },
+
+    revisao() {
+      return parseInt(this.versao()) || 0;
+    },
+
+    gravar(dados) {
+      gravarTudo(dados);
+    },
+
+    // Transação IMMEDIATE: bloqueia outros escritores durante leitura + gravação
+    // (chamadas aninhadas viram savepoints)
+    comTrava(fn) {
+      if (conexao.inTransaction) {
+        return fn();
+      }
+      return conexao.transaction(fn).immediate();
+    },
+
+    // Alterações externas são detectadas pela revisão (versao), sem observador de arquivo
+    observar() {}
+  };
+}
+
+module.exports = {
+  COLECOES,
+  criarStorageSqlite
+};
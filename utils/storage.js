@@ -0,0 +1,49 @@
+/**
+ * Backend de Armazenamento
+ * Seleciona onde o banco de dados é persistido (DB_BACKEND=json|sqlite)
+ *
+ * Interface dos backends:
+ * - existe(): se já há dados gravados
+ * - versao(): assinatura que muda a cada gravação (usada para invalidar o cache)
+ * - ler(): documento completo { admin: { usuarios }, ambientes, perfis, logins, bancosDisponiveis, ... }
+ * - revisao(): revisão gravada (controle de concorrência otimista)
+ * - gravar(documento): substituir o conteúdo gravado
+ * - comTrava(fn): executar leitura + gravação de forma exclusiva
+ * - observar(callback): notificar alterações externas (opcional)
+ */
+
+const path = require('path');
+const { criarStorageJson } = require('./storage-json');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const ARQUIVO_JSON = path.join(DATA_DIR, 'database.json');
+const ARQUIVO_SQLITE = process.env.DB_SQLITE_FILE || path.join(DATA_DIR, 'database.sqlite');
+
+const BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Criar backend pelo nome
+ */
+function criarStorage(nome = process.env.DB_BACKEND || 'json') {
+  const backend = String(nome).trim().toLowerCase();
+
+  if (backend === 'json') {
+    return criarStorageJson({ arquivo: ARQUIVO_JSON });
+  }
+
+  if (backend === 'sqlite') {
+    // Carregado sob demanda: better-sqlite3 é uma dependência opcional
+    const { criarStorageSqlite } = require('./storage-sqlite');
+    return criarStorageSqlite({ arquivo: ARQUIVO_SQLITE });
+  }
+
+  throw new Error(`DB_BACKEND inválido: "${nome}" (use ${BACKENDS.join(' ou ')})`);
+}
+
+module.exports = {
+  BACKENDS,
+  DATA_DIR,
+  ARQUIVO_JSON,
+  ARQUIVO_SQLITE,
+  criarStorage
+};
@@ -0,0 +1,139 @@
+/**
+ * TOTP (RFC 6238)
+ * Geração e verificação de códigos temporários para autenticação em dois fatores
+ */
+
+const crypto = require('crypto');
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIODO = 30; // segundos
+const DIGITOS = 6;
+
+/**
+ * Codificar buffer em base32 (RFC 4648, sem padding)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let valor = 0;
+  let saida = '';
+
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      saida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    saida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  }
+
+  return saida;
+}
+
+/**
+ * Decodificar string base32
+ */
+function base32Decode(texto) {
+  const limpo = String(texto).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let valor = 0;
+  const bytes = [];
+
+  for (const caractere of limpo) {
+    const indice = ALFABETO_BASE32.indexOf(caractere);
+    if (indice === -1) {
+      throw new Error('Segredo base32 inválido');
+    }
+    valor = (valor << 5) | indice;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Gerar segredo aleatório (160 bits, base32)
+ */
+function gerarSegredo() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Gerar código HOTP para um contador (RFC 4226)
+ */
+function gerarCodigo(segredo, contador) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(contador));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(segredo)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binario = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binario % Math.pow(10, DIGITOS)).padStart(DIGITOS, '0');
+}
+
+/**
+ * Passo de tempo atual
+ */
+function passoAtual(momento = Date.now()) {
+  return Math.floor(momento / 1000 / PERIODO);
+}
+
+/**
+ * Verificar código TOTP
+ * @param {number} janela - passos de tolerância antes/depois do atual
+ * @param {number} ultimoPasso - último passo aceito (impede reutilização do mesmo código)
+ * @returns {number|null} passo correspondente ao código ou null
+ */
+function verificarCodigo(segredo, codigo, { janela = 1, ultimoPasso = null } = {}) {
+  const codigoLimpo = String(codigo || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(codigoLimpo)) {
+    return null;
+  }
+
+  const atual = passoAtual();
+  for (let passo = atual - janela; passo <= atual + janela; passo++) {
+    if (ultimoPasso !== null && passo <= ultimoPasso) {
+      continue;
+    }
+    const esperado = gerarCodigo(segredo, passo);
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(codigoLimpo))) {
+      return passo;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Montar URI otpauth:// para leitura por aplicativos autenticadores
+ */
+function montarUriOtpauth(segredo, conta, emissor = 'Sistema Admin') {
+  const rotulo = encodeURIComponent(`${emissor}:${conta}`);
+  const parametros = new URLSearchParams({
+    secret: segredo,
+    issuer: emissor,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PERIODO)
+  });
+  return `otpauth://totp/${rotulo}?${parametros.toString()}`;
+}
+
+module.exports = {
+  gerarSegredo,
+  gerarCodigo,
+  passoAtual,
+  verificarCodigo,
+  montarUriOtpauth
+};
@@ -0,0 +1,128 @@
+/**
+ * Lixeira
+ * Ambientes, perfis e logins excluídos ficam guardados até o fim da retenção
+ * As pastas dos ambientes são movidas para um diretório de quarentena em vez de apagadas
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function lerInteiro(nome, padrao) {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isNaN(valor) || valor < 0 ? padrao : valor;
+}
+
+const RETENCAO_LIXEIRA_DIAS = lerInteiro('LIXEIRA_RETENCAO_DIAS', 30);
+
+// Mesmo volume das pastas dos ambientes (a movimentação é um rename) e fora do padrão rota-*.producao
+const QUARENTENA_DIR = process.env.LIXEIRA_QUARENTENA_DIR || path.join(__dirname, '..', '..', '.lixeira-ambientes');
+
+const TIPOS_LIXEIRA = {
+  ambiente: 'ambientes',
+  perfil: 'perfis',
+  login: 'logins'
+};
+
+/**
+ * Mover a pasta de um ambiente para a quarentena
+ * @returns {string|null} Caminho na quarentena (null se a pasta não existe)
+ */
+function quarentenarPasta(caminho) {
+  if (!fs.existsSync(caminho)) {
+    return null;
+  }
+
+  if (!fs.existsSync(QUARENTENA_DIR)) {
+    fs.mkdirSync(QUARENTENA_DIR, { recursive: true });
+  }
+
+  const destino = path.join(QUARENTENA_DIR, `${path.basename(caminho)}.${Date.now()}`);
+  fs.renameSync(caminho, destino);
+
+  return destino;
+}
+
+/**
+ * Devolver uma pasta da quarentena para o local original
+ */
+function restaurarPasta(origem, destino) {
+  if (!origem || !fs.existsSync(origem)) {
+    return false;
+  }
+
+  fs.renameSync(origem, destino);
+  return true;
+}
+
+/**
+ * Apagar definitivamente uma pasta da quarentena
+ */
+function removerPasta(caminho) {
+  if (caminho && fs.existsSync(caminho)) {
+    fs.rmSync(caminho, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Criar item da lixeira para um registro excluído
+ * @param {Object} opcoes - { excluidoPor, pastaOriginal, pastaQuarentena, dependentes }
+ */
+function criarItemLixeira(tipo, registro, opcoes = {}) {
+  const agora = new Date();
+
+  return {
+    id: `lixeira-${agora.getTime()}-${registro.id}`,
+    tipo,
+    registro,
+    excluidoEm: agora.toISOString(),
+    excluidoPor: opcoes.excluidoPor || null,
+    expiraEm: new Date(agora.getTime() + RETENCAO_LIXEIRA_DIAS * 24 * 60 * 60 * 1000).toISOString(),
+    pastaOriginal: opcoes.pastaOriginal || null,
+    pastaQuarentena: opcoes.pastaQuarentena || null,
+    dependentes: opcoes.dependentes || null
+  };
+}
+
+/**
+ * Verificar se o item já passou do período de retenção
+ */
+function itemExpirado(item, agora = Date.now()) {
+  return new Date(item.expiraEm).getTime() <= agora;
+}
+
+/**
+ * Dados do item exibidos na listagem (sem hashes de senha e segredos)
+ */
+function sanitizarItemLixeira(item) {
+  const { registro } = item;
+
+  return {
+    id: item.id,
+    tipo: item.tipo,
+    registro: {
+      id: registro.id,
+      nome: registro.nome || undefined,
+      username: registro.username || undefined,
+      porta: registro.porta || undefined,
+      ambienteId: registro.ambienteId || undefined,
+      perfilId: registro.perfilId || undefined
+    },
+    excluidoEm: item.excluidoEm,
+    excluidoPor: item.excluidoPor,
+    expiraEm: item.expiraEm,
+    pastaEmQuarentena: !!item.pastaQuarentena,
+    dependentes: item.dependentes
+  };
+}
+
+module.exports = {
+  RETENCAO_LIXEIRA_DIAS,
+  QUARENTENA_DIR,
+  TIPOS_LIXEIRA,
+  quarentenarPasta,
+  restaurarPasta,
+  removerPasta,
+  criarItemLixeira,
+  itemExpirado,
+  sanitizarItemLixeira
+};
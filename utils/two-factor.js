@@ -0,0 +1,200 @@
+/**
+ * Autenticação em Dois Fatores
+ * Cadastro, verificação e códigos de recuperação do TOTP de usuários admin e logins
+ */
+
+const crypto = require('crypto');
+const { getDatabase, updateDatabase } = require('./database');
+const { gerarSegredo, verificarCodigo, montarUriOtpauth } = require('./totp');
+
+const EMISSOR = process.env.TOTP_ISSUER || 'Sistema Admin';
+const TOTAL_CODIGOS_RECUPERACAO = 10;
+
+/**
+ * Lista de registros por tipo de usuário ('admin' ou 'login')
+ */
+function listaPorTipo(db, tipo) {
+  return tipo === 'admin' ? db.admin.usuarios : db.logins;
+}
+
+function getRegistro(tipo, id) {
+  return listaPorTipo(getDatabase(), tipo).find(r => r.id === id);
+}
+
+/**
+ * Alterar o registro do usuário e persistir
+ * @param {Function} alterar - recebe o registro e retorna o resultado da operação
+ * @param {Object} opcoes - repassadas a updateDatabase ({ snapshot })
+ */
+function alterarRegistro(tipo, id, alterar, opcoes = {}) {
+  let resultado = { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
+
+  updateDatabase(db => {
+    const registro = listaPorTipo(db, tipo).find(r => r.id === id);
+    if (registro) {
+      resultado = alterar(registro);
+    }
+    return db;
+  }, opcoes);
+
+  return resultado;
+}
+
+function hashCodigoRecuperacao(codigo) {
+  const normalizado = String(codigo || '').toUpperCase().replace(/[^A-F0-9]/g, '');
+  return crypto.createHash('sha256').update(normalizado).digest('hex');
+}
+
+/**
+ * Gerar códigos de recuperação (retorna os códigos em texto e os hashes a armazenar)
+ */
+function gerarCodigosRecuperacao() {
+  const codigos = [];
+  for (let i = 0; i < TOTAL_CODIGOS_RECUPERACAO; i++) {
+    const hex = crypto.randomBytes(4).toString('hex').toUpperCase();
+    codigos.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+  }
+  return { codigos, hashes: codigos.map(hashCodigoRecuperacao) };
+}
+
+/**
+ * Verificar se o registro possui 2FA ativo
+ */
+function possui2FA(registro) {
+  return !!(registro && registro.twoFactor && registro.twoFactor.ativo);
+}
+
+/**
+ * Status do 2FA do usuário
+ */
+function status2FA(tipo, id) {
+  const registro = getRegistro(tipo, id);
+  if (!registro) {
+    return { success: false, error: 'Usuário não encontrado', errorCode: 'USER_NOT_FOUND' };
+  }
+
+  const twoFactor = registro.twoFactor || {};
+  return {
+    success: true,
+    ativo: possui2FA(registro),
+    pendente: !!twoFactor.pendente,
+    ativadoEm: twoFactor.ativadoEm || null,
+    codigosRecuperacaoRestantes: (twoFactor.codigosRecuperacao || []).length
+  };
+}
+
+/**
+ * Iniciar cadastro: gerar segredo pendente até a confirmação do primeiro código
+ */
+function iniciar2FA(tipo, id) {
+  return alterarRegistro(tipo, id, registro => {
+    if (possui2FA(registro)) {
+      return { success: false, error: '2FA já está ativo', errorCode: 'TWO_FACTOR_ALREADY_ENABLED' };
+    }
+
+    const segredo = gerarSegredo();
+    registro.twoFactor = { ativo: false, pendente: segredo };
+
+    return {
+      success: true,
+      secret: segredo,
+      otpauthUri: montarUriOtpauth(segredo, registro.username, EMISSOR)
+    };
+  });
+}
+
+/**
+ * Confirmar cadastro com o primeiro código gerado pelo aplicativo
+ */
+function confirmar2FA(tipo, id, codigo) {
+  return alterarRegistro(tipo, id, registro => {
+    const twoFactor = registro.twoFactor || {};
+    if (!twoFactor.pendente) {
+      return { success: false, error: 'Nenhum cadastro de 2FA pendente', errorCode: 'TWO_FACTOR_NOT_PENDING' };
+    }
+
+    const passo = verificarCodigo(twoFactor.pendente, codigo);
+    if (passo === null) {
+      return { success: false, error: 'Código inválido', errorCode: 'INVALID_2FA_CODE' };
+    }
+
+    const { codigos, hashes } = gerarCodigosRecuperacao();
+    registro.twoFactor = {
+      ativo: true,
+      secret: twoFactor.pendente,
+      pendente: null,
+      ultimoPasso: passo,
+      codigosRecuperacao: hashes,
+      ativadoEm: new Date().toISOString()
+    };
+
+    return { success: true, codigosRecuperacao: codigos };
+  });
+}
+
+/**
+ * Verificar código TOTP ou código de recuperação (consumido ao ser usado)
+ */
+function verificar2FA(tipo, id, codigo) {
+  return alterarRegistro(tipo, id, registro => {
+    if (!possui2FA(registro)) {
+      return { success: false, error: '2FA não está ativo', errorCode: 'TWO_FACTOR_NOT_ENABLED' };
+    }
+
+    const twoFactor = registro.twoFactor;
+    const passo = verificarCodigo(twoFactor.secret, codigo, { ultimoPasso: twoFactor.ultimoPasso });
+    if (passo !== null) {
+      twoFactor.ultimoPasso = passo;
+      return { success: true, metodo: 'totp' };
+    }
+
+    const hash = hashCodigoRecuperacao(codigo);
+    const indice = (twoFactor.codigosRecuperacao || []).indexOf(hash);
+    if (indice !== -1) {
+      twoFactor.codigosRecuperacao.splice(indice, 1);
+      return {
+        success: true,
+        metodo: 'recuperacao',
+        codigosRecuperacaoRestantes: twoFactor.codigosRecuperacao.length
+      };
+    }
+
+    return { success: false, error: 'Código inválido', errorCode: 'INVALID_2FA_CODE' };
+  }, { snapshot: false }); // a cada login: último passo usado e códigos consumidos não devem voltar num restore
+}
+
+/**
+ * Gerar novos códigos de recuperação (invalida os anteriores)
+ */
+function regerarCodigosRecuperacao(tipo, id) {
+  return alterarRegistro(tipo, id, registro => {
+    if (!possui2FA(registro)) {
+      return { success: false, error: '2FA não está ativo', errorCode: 'TWO_FACTOR_NOT_ENABLED' };
+    }
+
+    const { codigos, hashes } = gerarCodigosRecuperacao();
+    registro.twoFactor.codigosRecuperacao = hashes;
+
+    return { success: true, codigosRecuperacao: codigos };
+  });
+}
+
+/**
+ * Desativar 2FA
+ */
+function desativar2FA(tipo, id) {
+  return alterarRegistro(tipo, id, registro => {
+    delete registro.twoFactor;
+    return { success: true };
+  });
+}
+
+module.exports = {
+  possui2FA,
+  status2FA,
+  iniciar2FA,
+  confirmar2FA,
+  verificar2FA,
+  regerarCodigosRecuperacao,
+  desativar2FA
+};